@@ -2,11 +2,33 @@
 // API-based Price Comparator Background Script - Performance Optimized v3.3
 console.log("Background: Starting Food Price Comparator extension - Performance Optimized");
 
+// Protocol version, error codes and the client used by the pages
+importScripts('shared/message-client.js');
+
 // ===== PERFORMANCE CONFIGURATION =====
 const PERF_CONFIG = {
     DEBUG_LOGGING: false,           // Reduces console spam
     CACHE_DURATION: 5 * 60 * 1000,  // 5 minutes cache
     VENDOR_LIST_CACHE_DURATION: 10 * 60 * 1000, // 10 minutes cache for vendor list
+    VENDOR_DATA_STALE_WINDOW: 60 * 60 * 1000, // Serve expired vendor data for up to 1 hour while refreshing
+    VENDOR_LIST_STALE_WINDOW: 60 * 60 * 1000, // Serve an expired vendor list for up to 1 hour while refreshing
+    VENDOR_FULL_SYNC_INTERVAL: 24 * 60 * 60 * 1000, // Full vendor re-sync once a day
+    PLATFORM_DATA_CACHE_DURATION: 60 * 1000, // 1 minute cache for live platform menus
+    VENDOR_SEARCH_CACHE_DURATION: 2 * 60 * 1000, // 2 minute cache for server-side vendor search
+    VENDOR_SEARCH_DEBOUNCE: 250,    // Wait for typing to settle before hitting /search/vendors
+    VENDOR_SEARCH_LIMIT: 20,        // Results per server-side vendor search (API max 100)
+    PRICE_HISTORY_RETENTION: 90 * 24 * 60 * 60 * 1000, // Keep price snapshots for 90 days
+    PRICE_HISTORY_MAX_ENTRIES: 50000, // Hard cap on stored price snapshots
+    PRICE_HISTORY_MIN_INTERVAL: 60 * 60 * 1000, // Re-record unchanged prices at most hourly
+    PRICE_HISTORY_TREND_POINTS: 30, // Points per item in the widget trend line
+    FAVORITES_CHECK_INTERVAL_MINUTES: 60, // How often watched favorites are re-priced
+    HEALTH_CHECK_INTERVAL_MINUTES: 10, // Backend health re-check while it is up
+    HEALTH_BACKOFF_BASE_MINUTES: 1, // First re-check after a failure; doubles per failure
+    HEALTH_BACKOFF_MAX_MINUTES: 30, // Longest wait between checks while the backend is down
+    SCHEMA_STATUS_PERSIST_INTERVAL: 10 * 60 * 1000, // Refresh stored platform API status every 10 minutes
+    FUZZY_MATCH_MIN_TOKEN_SCORE: 0.5, // Minimum name-token overlap for a fallback match
+    FUZZY_MATCH_MIN_CONFIDENCE: 0.55, // Discard fallback matches below this confidence
+    FUZZY_MATCH_ESTIMATE_BELOW: 0.85, // Fallback matches below this are shown as estimates
     MAX_CONCURRENT_REQUESTS: 3,     // Limit concurrent API requests
     REQUEST_TIMEOUT: 10000,         // 10 second timeout
     RETRY_ATTEMPTS: 2               // Retry failed requests
@@ -22,17 +44,229 @@ const Logger = {
 };
 
 // Configuration
-const API_BASE_URL = 'http://127.0.0.1:8000';  // Local FastAPI server
+const DEFAULT_API_BASE_URL = 'http://127.0.0.1:8000';  // Local FastAPI server
+
+// ===== EXTENSION SETTINGS =====
+// Persisted in chrome.storage.local and edited from the options page
+const SETTINGS_DEFAULTS = {
+    apiBaseUrl: DEFAULT_API_BASE_URL,
+    dataSource: 'api',              // 'api' or 'offline' (bundled/imported mapping files)
+    offlineFallback: true,          // Use offline mappings when the API is unreachable
+    savedAddresses: [],             // [{ id, label, lat, lng }]
+    activeLocation: 'auto',         // 'auto' (detected on the platform site) or a saved address id
+    priceAlerts: true,              // Notify about price changes on favorited items
+    alertThreshold: 10,             // Cross-platform gap (%) that triggers an alert
+    fixtureMode: 'off'              // 'off', 'record' or 'replay' (recorded API responses)
+};
+
+const settings = { ...SETTINGS_DEFAULTS };
+
+async function loadSettings() {
+    try {
+        const stored = await chrome.storage.local.get(Object.keys(SETTINGS_DEFAULTS));
+        Object.assign(settings, stored);
+        Logger.debug("Settings: Loaded", settings);
+    } catch (error) {
+        Logger.warn("Settings: Failed to load, using defaults:", error);
+    }
+    return settings;
+}
+
+// Resolved once per service-worker lifetime; API calls wait on it
+const settingsReady = loadSettings();
+
+function normalizeBaseUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    
+    try {
+        const url = new URL(value.trim());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Validators return the normalized value, or null when the input is rejected
+const SETTINGS_VALIDATORS = {
+    apiBaseUrl: normalizeBaseUrl,
+    dataSource: (value) => ['api', 'offline'].includes(value) ? value : null,
+    offlineFallback: (value) => typeof value === 'boolean' ? value : null,
+    savedAddresses: (value) => normalizeSavedAddresses(value),
+    activeLocation: (value) => typeof value === 'string' && value ? value : null,
+    priceAlerts: (value) => typeof value === 'boolean' ? value : null,
+    alertThreshold: (value) => {
+        const threshold = parseInt(value);
+        return threshold >= 1 && threshold <= 100 ? threshold : null;
+    },
+    fixtureMode: (value) => ['off', 'record', 'replay'].includes(value) ? value : null
+};
+
+// ===== PERSISTENT CACHE TIER =====
+// Backs a PerformanceCache with chrome.storage.local so warm entries survive the
+// service worker being stopped. Each entry lives under its own storage key; a
+// small index keeps the LRU order and hit/miss counters.
+class StorageCacheTier {
+    constructor(namespace) {
+        this.prefix = `cache:${namespace}:`;
+        this.indexKey = `${this.prefix}index`;
+        this.indexWriteTimer = null;
+        this.lastPersistedAt = null;
+        this.writeErrors = 0;
+    }
+
+    entryKey(key) {
+        return `${this.prefix}entry:${key}`;
+    }
+
+    async load() {
+        const stored = await chrome.storage.local.get(this.indexKey);
+        const index = stored[this.indexKey];
+        if (!index || !Array.isArray(index.keys) || index.keys.length === 0) {
+            return { entries: [], hits: 0, misses: 0 };
+        }
+
+        const items = await chrome.storage.local.get(index.keys.map(key => this.entryKey(key)));
+        return {
+            entries: index.keys
+                .map(key => [key, items[this.entryKey(key)]])
+                .filter(([, item]) => item && typeof item.expiry === 'number'),
+            hits: index.hits || 0,
+            misses: index.misses || 0
+        };
+    }
+
+    writeEntry(cache, key, item) {
+        chrome.storage.local.set({ [this.entryKey(key)]: item })
+            .then(() => this.writeIndex(cache))
+            .catch(error => this.handleWriteError(error));
+    }
+
+    removeEntries(cache, keys) {
+        if (keys.length === 0) return;
+
+        chrome.storage.local.remove(keys.map(key => this.entryKey(key)))
+            .then(() => this.writeIndex(cache))
+            .catch(error => this.handleWriteError(error));
+    }
+
+    // LRU touches and counters change on every read, so batch those writes
+    scheduleIndexWrite(cache) {
+        if (this.indexWriteTimer) return;
+
+        this.indexWriteTimer = setTimeout(() => {
+            this.indexWriteTimer = null;
+            this.writeIndex(cache);
+        }, 1000);
+    }
+
+    writeIndex(cache) {
+        if (this.indexWriteTimer) {
+            clearTimeout(this.indexWriteTimer);
+            this.indexWriteTimer = null;
+        }
+
+        return chrome.storage.local.set({
+            [this.indexKey]: {
+                keys: Array.from(cache.cache.keys()),
+                hits: cache.hitCount,
+                misses: cache.missCount,
+                updatedAt: Date.now()
+            }
+        }).then(() => {
+            this.lastPersistedAt = Date.now();
+        }).catch(error => this.handleWriteError(error));
+    }
+
+    // Removes every key under the prefix, including entries orphaned by a
+    // worker shutdown between an entry write and its index write
+    async clear() {
+        if (this.indexWriteTimer) {
+            clearTimeout(this.indexWriteTimer);
+            this.indexWriteTimer = null;
+        }
+
+        const all = await chrome.storage.local.get(null);
+        const keys = Object.keys(all).filter(key => key.startsWith(this.prefix));
+        if (keys.length > 0) {
+            await chrome.storage.local.remove(keys);
+        }
+    }
+
+    handleWriteError(error) {
+        this.writeErrors++;
+        Logger.warn(`Cache storage write failed for ${this.prefix}:`, error);
+    }
+}
 
 // ===== ENHANCED CACHE SYSTEM =====
 class PerformanceCache {
-    constructor(maxSize = 100, ttlMs = PERF_CONFIG.CACHE_DURATION) {
+    constructor(maxSize = 100, ttlMs = PERF_CONFIG.CACHE_DURATION, options = {}) {
         this.cache = new Map();
         this.maxSize = maxSize;
         this.ttl = ttlMs;
         this.hitCount = 0;
         this.missCount = 0;
         this.requestCount = 0;
+        this.restoredCount = 0;
+        this.staleHitCount = 0;
+        this.generation = 0;
+
+        // Expired entries are kept this much longer for getWithStale()
+        this.staleWindow = options.staleWindow || 0;
+
+        // Optional storage tier; callers await `ready` before the first lookup
+        this.storage = options.persistAs ? new StorageCacheTier(options.persistAs) : null;
+        this.ready = this.storage ? this.hydrate() : Promise.resolve();
+    }
+
+    async hydrate() {
+        const generation = this.generation;
+
+        try {
+            const { entries, hits, misses } = await this.storage.load();
+
+            // A clear() that ran while loading wins over what was on disk
+            if (generation !== this.generation) return;
+
+            const now = Date.now();
+            const expiredKeys = [];
+            const merged = new Map();
+
+            for (const [key, item] of entries) {
+                if (this.isRetained(item, now)) {
+                    merged.set(key, item);
+                } else {
+                    expiredKeys.push(key);
+                }
+            }
+
+            // Entries set before hydration finished are newer than anything stored
+            for (const [key, item] of this.cache.entries()) {
+                merged.delete(key);
+                merged.set(key, item);
+            }
+
+            while (merged.size > this.maxSize) {
+                const oldestKey = merged.keys().next().value;
+                merged.delete(oldestKey);
+                expiredKeys.push(oldestKey);
+            }
+
+            this.cache = merged;
+            this.restoredCount = merged.size;
+            this.hitCount += hits;
+            this.missCount += misses;
+            this.storage.removeEntries(this, expiredKeys);
+
+            Logger.performance(`Cache RESTORED ${merged.size} items from ${this.storage.prefix}`);
+        } catch (error) {
+            Logger.warn(`Cache restore failed for ${this.storage.prefix}:`, error);
+        }
+    }
+
+    isRetained(item, now = Date.now()) {
+        return now < item.expiry + this.staleWindow;
     }
 
     get(key) {
@@ -42,25 +276,43 @@ class PerformanceCache {
             // Move to end (LRU)
             this.cache.delete(key);
             this.cache.set(key, item);
+            this.storage?.scheduleIndexWrite(this);
             Logger.debug(`Cache HIT for ${key}`);
             return item.data;
         }
         
-        if (item) {
+        if (item && !this.isRetained(item)) {
             this.cache.delete(key); // Remove expired item
+            this.storage?.removeEntries(this, [key]);
             Logger.debug(`Cache EXPIRED for ${key}`);
         }
         
         this.missCount++;
+        this.storage?.scheduleIndexWrite(this);
         Logger.debug(`Cache MISS for ${key}`);
         return null;
     }
 
+    // Stale-while-revalidate lookup: { data, isStale } or null. Expired entries
+    // inside the stale window come back flagged so the caller can refresh them.
+    getWithStale(key) {
+        const item = this.cache.get(key);
+        if (item && Date.now() >= item.expiry && this.isRetained(item)) {
+            this.staleHitCount++;
+            Logger.debug(`Cache STALE for ${key}`);
+            return { data: item.data, isStale: true };
+        }
+
+        const data = this.get(key);
+        return data === null ? null : { data, isStale: false };
+    }
+
     set(key, data) {
         // Remove oldest entries if at capacity
         if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
             const firstKey = this.cache.keys().next().value;
             this.cache.delete(firstKey);
+            this.storage?.removeEntries(this, [firstKey]);
             Logger.debug(`Cache EVICTED ${firstKey}`);
         }
 
@@ -71,6 +323,7 @@ class PerformanceCache {
         };
 
         this.cache.set(key, item);
+        this.storage?.writeEntry(this, key, item);
         Logger.debug(`Cache SET for ${key} (TTL: ${this.ttl}ms)`);
     }
 
@@ -79,6 +332,10 @@ class PerformanceCache {
         this.cache.clear();
         this.hitCount = 0;
         this.missCount = 0;
+        this.restoredCount = 0;
+        this.staleHitCount = 0;
+        this.generation++;
+        this.storage?.clear().catch(error => this.storage.handleWriteError(error));
         Logger.performance(`Cache CLEARED (was ${size} items)`);
     }
 
@@ -91,33 +348,98 @@ class PerformanceCache {
             hitRate: `${hitRate}%`,
             hits: this.hitCount,
             misses: this.missCount,
-            requests: this.requestCount
+            staleHits: this.staleHitCount,
+            staleWindow: this.staleWindow,
+            requests: this.requestCount,
+            persistent: Boolean(this.storage),
+            restored: this.restoredCount,
+            lastPersistedAt: this.storage?.lastPersistedAt || null,
+            storageErrors: this.storage?.writeErrors || 0
         };
     }
 
     cleanup() {
         const now = Date.now();
-        let cleanedCount = 0;
+        const expiredKeys = [];
         
         for (const [key, item] of this.cache.entries()) {
-            if (now >= item.expiry) {
+            if (!this.isRetained(item, now)) {
                 this.cache.delete(key);
-                cleanedCount++;
+                expiredKeys.push(key);
             }
         }
         
-        if (cleanedCount > 0) {
-            Logger.performance(`Cache CLEANUP: removed ${cleanedCount} expired items`);
+        this.storage?.removeEntries(this, expiredKeys);
+        
+        if (expiredKeys.length > 0) {
+            Logger.performance(`Cache CLEANUP: removed ${expiredKeys.length} expired items`);
         }
         
-        return cleanedCount;
+        return expiredKeys.length;
     }
 }
 
 // Global performance caches
-const vendorDataCache = new PerformanceCache(200, PERF_CONFIG.CACHE_DURATION);
-const vendorListCache = new PerformanceCache(1, PERF_CONFIG.VENDOR_LIST_CACHE_DURATION);
-const apiStatsCache = new PerformanceCache(1, 30000); // 30 second cache for stats
+// Persisted so a restarted service worker starts warm instead of re-hitting the API
+const vendorDataCache = new PerformanceCache(200, PERF_CONFIG.CACHE_DURATION, {
+    persistAs: 'vendorData',
+    staleWindow: PERF_CONFIG.VENDOR_DATA_STALE_WINDOW
+});
+const vendorListCache = new PerformanceCache(1, PERF_CONFIG.VENDOR_LIST_CACHE_DURATION, {
+    staleWindow: PERF_CONFIG.VENDOR_LIST_STALE_WINDOW
+}); // Persisted by the vendor sync store
+const apiStatsCache = new PerformanceCache(1, 30000, { persistAs: 'apiStats' }); // 30 second cache for stats
+const vendorSearchCache = new PerformanceCache(100, PERF_CONFIG.VENDOR_SEARCH_CACHE_DURATION);
+const vendorLookupCache = new PerformanceCache(200, PERF_CONFIG.CACHE_DURATION, { persistAs: 'vendorLookup' });
+const vendorItemsCache = new PerformanceCache(50, PERF_CONFIG.CACHE_DURATION, { persistAs: 'vendorItems' });
+// Live menus are location-dependent, so keys carry the delivery coordinates
+const platformDataCache = new PerformanceCache(50, PERF_CONFIG.PLATFORM_DATA_CACHE_DURATION);
+
+// Everything cached here came from one backend; a new URL makes it meaningless
+function invalidateBackendCaches() {
+    vendorDataCache.clear();
+    vendorListCache.clear();
+    apiStatsCache.clear();
+    vendorSearchCache.clear();
+    vendorLookupCache.clear();
+    vendorItemsCache.clear();
+    resetVendorSync();
+}
+
+// Keep the in-memory settings in sync with edits from the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    
+    for (const key of Object.keys(SETTINGS_DEFAULTS)) {
+        if (changes[key]) {
+            settings[key] = changes[key].newValue ?? SETTINGS_DEFAULTS[key];
+        }
+    }
+    
+    if (changes.apiBaseUrl) {
+        Logger.info(`Settings: Backend URL changed to ${settings.apiBaseUrl}, invalidating caches`);
+        invalidateBackendCaches();
+    }
+    
+    // Cached menus and mappings would hide the switch to or from recorded responses
+    if (changes.fixtureMode) {
+        Logger.info(`Settings: Fixture mode changed to ${settings.fixtureMode}, invalidating caches`);
+        invalidateBackendCaches();
+        platformDataCache.clear();
+    }
+    
+    // A different backend, data source or fixture mode starts a fresh health check and backoff
+    if (changes.apiBaseUrl || changes.dataSource || changes.fixtureMode) {
+        checkBackendHealth({ resetBackoff: true })
+            .catch(error => Logger.warn("Health: Check after settings change failed:", error));
+    }
+    
+    if (changes.priceAlerts) {
+        loadWatchedFavorites()
+            .then(favorites => ensureFavoritesAlarm(Object.keys(favorites).length > 0))
+            .catch(error => Logger.warn("PriceAlerts: Failed to update alarm:", error));
+    }
+});
 
 // ===== PERFORMANCE METRICS =====
 const performanceMetrics = {
@@ -125,15 +447,414 @@ const performanceMetrics = {
     cacheHits: 0,
     cacheMisses: 0,
     errors: 0,
-    averageResponseTime: 0,
-    responseTimes: [],
     startTime: Date.now()
 };
 
+// Per-endpoint request and error counts with a fixed-bucket latency histogram,
+// so percentiles are cheap and the whole thing persists as a few small arrays.
+// Endpoints are labelled by route, not URL, so every vendor lands in one bucket.
+const LATENCY_BUCKETS_MS = [25, 50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000];
+const ENDPOINT_METRICS_KEY = 'endpointMetrics';
+
+class EndpointMetrics {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.endpoints = {};
+        this.persistTimer = null;
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get(this.storageKey);
+            const saved = stored[this.storageKey]?.endpoints || {};
+
+            // Requests recorded before the load finished are merged in
+            for (const [label, entry] of Object.entries(saved)) {
+                if (entry.buckets?.length !== LATENCY_BUCKETS_MS.length + 1) continue;
+                const current = this.endpoints[label];
+                this.endpoints[label] = current ? this.merge(entry, current) : entry;
+            }
+        } catch (error) {
+            Logger.warn("Metrics: Failed to load endpoint metrics:", error);
+        }
+    }
+
+    createEntry() {
+        return {
+            count: 0,
+            errors: 0,
+            totalMs: 0,
+            maxMs: 0,
+            buckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0), // Last bucket is overflow
+            lastAt: null,
+            lastError: null
+        };
+    }
+
+    merge(a, b) {
+        return {
+            count: a.count + b.count,
+            errors: a.errors + b.errors,
+            totalMs: a.totalMs + b.totalMs,
+            maxMs: Math.max(a.maxMs, b.maxMs),
+            buckets: a.buckets.map((value, i) => value + b.buckets[i]),
+            lastAt: Math.max(a.lastAt || 0, b.lastAt || 0) || null,
+            lastError: b.lastError || a.lastError
+        };
+    }
+
+    record(label, durationMs, error = null) {
+        const entry = this.endpoints[label] || (this.endpoints[label] = this.createEntry());
+        const bucket = LATENCY_BUCKETS_MS.findIndex(limit => durationMs <= limit);
+
+        entry.count++;
+        entry.totalMs += durationMs;
+        entry.maxMs = Math.max(entry.maxMs, durationMs);
+        entry.buckets[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket]++;
+        entry.lastAt = Date.now();
+        if (error) {
+            entry.errors++;
+            entry.lastError = String(error);
+        }
+
+        this.schedulePersist();
+    }
+
+    // Interpolates inside the bucket holding the p-th sample
+    percentile(entry, p) {
+        if (entry.count === 0) return 0;
+
+        const target = p * entry.count;
+        let seen = 0;
+        for (let i = 0; i < entry.buckets.length; i++) {
+            const inBucket = entry.buckets[i];
+            if (inBucket > 0 && seen + inBucket >= target) {
+                const lower = i === 0 ? 0 : LATENCY_BUCKETS_MS[i - 1];
+                const upper = i < LATENCY_BUCKETS_MS.length ? LATENCY_BUCKETS_MS[i] : entry.maxMs;
+                const value = lower + (upper - lower) * ((target - seen) / inBucket);
+                return Math.round(Math.min(value, entry.maxMs));
+            }
+            seen += inBucket;
+        }
+        return Math.round(entry.maxMs);
+    }
+
+    summarize(entry) {
+        return {
+            count: entry.count,
+            errors: entry.errors,
+            errorRate: entry.count > 0 ? `${(entry.errors / entry.count * 100).toFixed(1)}%` : '0%',
+            avgMs: entry.count > 0 ? Math.round(entry.totalMs / entry.count) : 0,
+            p50: this.percentile(entry, 0.5),
+            p95: this.percentile(entry, 0.95),
+            p99: this.percentile(entry, 0.99),
+            maxMs: Math.round(entry.maxMs),
+            lastAt: entry.lastAt,
+            lastError: entry.lastError
+        };
+    }
+
+    getSummary() {
+        const entries = Object.entries(this.endpoints);
+        const endpoints = {};
+        for (const [label, entry] of entries) {
+            endpoints[label] = this.summarize(entry);
+        }
+
+        const overall = entries.reduce((total, [, entry]) => this.merge(total, entry), this.createEntry());
+        return { endpoints, overall: this.summarize(overall), buckets: LATENCY_BUCKETS_MS };
+    }
+
+    schedulePersist() {
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            chrome.storage.local.set({
+                [this.storageKey]: { endpoints: this.endpoints, updatedAt: Date.now() }
+            }).catch(error => Logger.warn("Metrics: Failed to persist endpoint metrics:", error));
+        }, 5000);
+    }
+}
+
+const endpointMetrics = new EndpointMetrics(ENDPOINT_METRICS_KEY);
+
+// Backend routes: vendor and item codes become placeholders
+function getBackendEndpointLabel(endpoint) {
+    const path = endpoint.split('?')[0]
+        .replace(/\/(snappfood|tapsifood|sf|tf)\/[^/]+/g, '/$1/:code');
+    return `API ${path}`;
+}
+
+// ===== REQUEST SCHEDULER =====
+// Caps concurrent requests per host (backend, snappfood.ir, api.tapsi.food) and
+// lets identical requests share one in-flight promise instead of hitting the
+// network twice, e.g. when two tabs open the same vendor.
+class RequestScheduler {
+    constructor(maxConcurrentPerHost = PERF_CONFIG.MAX_CONCURRENT_REQUESTS) {
+        this.maxConcurrent = maxConcurrentPerHost;
+        this.hosts = new Map();
+        this.inFlight = new Map();
+        this.scheduledCount = 0;
+        this.dedupedCount = 0;
+    }
+
+    getHostState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                active: 0,
+                queue: [],
+                maxQueueDepth: 0,
+                completed: 0,
+                deduped: 0,
+                totalWaitMs: 0
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    // Resolves with the task's result once a slot for `host` is free;
+    // the task itself starts any timeouts so queue time is not counted
+    schedule(host, task) {
+        const hostState = this.getHostState(host);
+        this.scheduledCount++;
+
+        return new Promise((resolve, reject) => {
+            hostState.queue.push({ task, resolve, reject, queuedAt: Date.now() });
+            this.drain(hostState);
+            hostState.maxQueueDepth = Math.max(hostState.maxQueueDepth, hostState.queue.length);
+        });
+    }
+
+    drain(hostState) {
+        while (hostState.active < this.maxConcurrent && hostState.queue.length > 0) {
+            const job = hostState.queue.shift();
+            hostState.active++;
+            hostState.totalWaitMs += Date.now() - job.queuedAt;
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    hostState.active--;
+                    hostState.completed++;
+                    this.drain(hostState);
+                });
+        }
+    }
+
+    // Callers with the same key get the same promise until it settles
+    run(key, host, task) {
+        const existing = this.inFlight.get(key);
+        if (existing) {
+            this.dedupedCount++;
+            this.getHostState(host).deduped++;
+            Logger.debug(`Scheduler: Joined in-flight request ${key}`);
+            return existing;
+        }
+
+        const promise = this.schedule(host, task).finally(() => {
+            this.inFlight.delete(key);
+        });
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    getStats() {
+        const hosts = {};
+        let queueDepth = 0;
+        let active = 0;
+
+        for (const [host, hostState] of this.hosts.entries()) {
+            queueDepth += hostState.queue.length;
+            active += hostState.active;
+            hosts[host] = {
+                active: hostState.active,
+                queued: hostState.queue.length,
+                maxQueueDepth: hostState.maxQueueDepth,
+                completed: hostState.completed,
+                deduped: hostState.deduped,
+                averageWaitMs: hostState.completed > 0 ?
+                    Math.round(hostState.totalWaitMs / hostState.completed) : 0
+            };
+        }
+
+        return {
+            maxConcurrentPerHost: this.maxConcurrent,
+            queueDepth,
+            active,
+            inFlight: this.inFlight.size,
+            scheduled: this.scheduledCount,
+            deduped: this.dedupedCount,
+            hosts
+        };
+    }
+}
+
+const requestScheduler = new RequestScheduler();
+
+// ===== RECORDED FIXTURES =====
+// In record mode every backend and platform response is saved to IndexedDB,
+// keyed by request URL. Replay mode answers from those fixtures instead of the
+// network, so the whole compare-and-inject flow can run without the FastAPI
+// server or the platform APIs. Fixtures move between machines as a JSON bundle
+// exported and imported on the options page.
+const FIXTURE_BUNDLE_VERSION = 1;
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+class FixtureStore {
+    constructor(dbName = 'api-fixtures') {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('responses', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a retry on the next call if opening failed
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    // GETs are keyed by URL alone; other methods get a prefix so they never collide
+    static key(url, method = 'GET') {
+        return method === 'GET' ? url : `${method} ${url}`;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        const tx = db.transaction('responses', mode);
+        const request = operation(tx.objectStore('responses'));
+        const committed = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        const result = await PriceHistoryStore.toRequestPromise(request);
+        await committed;
+        return result;
+    }
+
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    put(fixture) {
+        return this.run('readwrite', store => store.put(fixture));
+    }
+
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    async exportBundle() {
+        const fixtures = await this.run('readonly', store => store.getAll());
+        return { version: FIXTURE_BUNDLE_VERSION, exportedAt: Date.now(), fixtures };
+    }
+
+    // Replaces fixtures with the same key; others are kept
+    async importBundle(bundle) {
+        if (bundle?.version !== FIXTURE_BUNDLE_VERSION || !Array.isArray(bundle.fixtures)) {
+            throw new Error(`Unsupported fixture bundle (expected version ${FIXTURE_BUNDLE_VERSION})`);
+        }
+
+        const fixtures = bundle.fixtures.filter(fixture =>
+            typeof fixture?.key === 'string' && typeof fixture.body === 'string' &&
+            Number.isInteger(fixture.status) && fixture.status >= 200 && fixture.status <= 599
+        );
+
+        const db = await this.open();
+        const tx = db.transaction('responses', 'readwrite');
+        const store = tx.objectStore('responses');
+        fixtures.forEach(fixture => store.put(fixture));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+
+        return { imported: fixtures.length, skipped: bundle.fixtures.length - fixtures.length };
+    }
+
+    async getStatus() {
+        await settingsReady;
+        return { mode: settings.fixtureMode, count: await this.count() };
+    }
+}
+
+const fixtureStore = new FixtureStore();
+
+// Every backend and platform request goes through here instead of fetch()
+async function networkFetch(url, options = {}) {
+    await settingsReady;
+
+    const method = (options.method || 'GET').toUpperCase();
+    const key = FixtureStore.key(url, method);
+
+    if (settings.fixtureMode === 'replay') {
+        const fixture = await fixtureStore.get(key);
+        if (!fixture) {
+            throw new Error(`Replay: No fixture recorded for ${key}`);
+        }
+
+        Logger.debug(`Fixtures: Replaying ${key}`);
+        return new Response(NULL_BODY_STATUSES.includes(fixture.status) ? null : fixture.body, {
+            status: fixture.status,
+            statusText: fixture.statusText,
+            headers: { 'Content-Type': fixture.contentType }
+        });
+    }
+
+    const response = await fetch(url, options);
+
+    if (settings.fixtureMode === 'record') {
+        // Saved off the request path; a failed write only loses that fixture
+        response.clone().text()
+            .then(body => fixtureStore.put({
+                key,
+                url,
+                method,
+                status: response.status,
+                statusText: response.statusText,
+                contentType: response.headers.get('Content-Type') || 'application/json',
+                body,
+                recordedAt: Date.now()
+            }))
+            .catch(error => Logger.warn(`Fixtures: Failed to record ${key}:`, error));
+    }
+
+    return response;
+}
+
 // ===== OPTIMIZED API HELPER FUNCTIONS =====
 async function fetchFromAPI(endpoint, options = {}) {
+    await settingsReady;
+    
+    const { baseUrl = settings.apiBaseUrl, ...fetchOptions } = options;
+    const url = `${baseUrl}${endpoint}`;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const host = new URL(url).host;
+    const task = () => executeAPIRequest(endpoint, url, baseUrl, fetchOptions);
+    
+    // Only idempotent reads are safe to share between callers
+    return method === 'GET' ?
+        requestScheduler.run(`GET ${url}`, host, task) :
+        requestScheduler.schedule(host, task);
+}
+
+async function executeAPIRequest(endpoint, url, baseUrl, fetchOptions) {
     const startTime = performance.now();
-    const url = `${API_BASE_URL}${endpoint}`;
     
     performanceMetrics.apiCalls++;
     Logger.debug(`API: Fetching from ${url}`);
@@ -142,33 +863,23 @@ async function fetchFromAPI(endpoint, options = {}) {
     const timeoutId = setTimeout(() => controller.abort(), PERF_CONFIG.REQUEST_TIMEOUT);
     
     try {
-        const response = await fetch(url, {
+        const response = await networkFetch(url, {
             method: 'GET',
             headers: {
                 'Accept': 'application/json',
                 'Content-Type': 'application/json'
             },
             signal: controller.signal,
-            ...options
+            ...fetchOptions
         });
         
         clearTimeout(timeoutId);
         
         const responseTime = performance.now() - startTime;
-        performanceMetrics.responseTimes.push(responseTime);
-        
-        // Calculate rolling average
-        if (performanceMetrics.responseTimes.length > 10) {
-            performanceMetrics.responseTimes.shift();
-        }
-        
-        performanceMetrics.averageResponseTime = 
-            performanceMetrics.responseTimes.reduce((a, b) => a + b, 0) / 
-            performanceMetrics.responseTimes.length;
-        
         Logger.performance(`API: ${endpoint} completed in ${responseTime.toFixed(2)}ms`);
         
         if (!response.ok) {
+            endpointMetrics.record(getBackendEndpointLabel(endpoint), responseTime, `HTTP ${response.status}`);
             if (response.status === 404) {
                 return { success: false, error: "Endpoint not found", status: 404 };
             }
@@ -176,12 +887,20 @@ async function fetchFromAPI(endpoint, options = {}) {
         }
         
         const data = await response.json();
+        // Success is recorded once the body parsed, so a bad body counts only as a failure
+        endpointMetrics.record(getBackendEndpointLabel(endpoint), responseTime, null);
         return { success: true, data, responseTime };
         
     } catch (error) {
         clearTimeout(timeoutId);
         performanceMetrics.errors++;
         
+        // HTTP errors were recorded with their response time above
+        if (!error.message.startsWith('API Error:')) {
+            endpointMetrics.record(getBackendEndpointLabel(endpoint), performance.now() - startTime,
+                error.name === 'AbortError' ? 'timeout' : error.message);
+        }
+        
         Logger.error(`API: Call failed for ${endpoint}:`, error);
         
         if (error.name === 'AbortError') {
@@ -195,7 +914,7 @@ async function fetchFromAPI(endpoint, options = {}) {
         if (error.message.includes('fetch') || error.message.includes('Failed to fetch')) {
             return { 
                 success: false, 
-                error: "API server not available. Please ensure the FastAPI server is running on port 8000.",
+                error: `API server not available at ${baseUrl}. Please ensure the FastAPI server is running.`,
                 isConnectionError: true
             };
         }
@@ -204,40 +923,456 @@ async function fetchFromAPI(endpoint, options = {}) {
     }
 }
 
-// ===== OPTIMIZED VENDOR DATA FETCHING =====
-async function getVendorData(platform, vendorCode) {
-    const cacheKey = `${platform}-${vendorCode}`;
-    
-    // Check cache first
-    const cached = vendorDataCache.get(cacheKey);
-    if (cached) {
-        performanceMetrics.cacheHits++;
-        return { success: true, data: cached };
-    }
-    
-    performanceMetrics.cacheMisses++;
-    
-    // Fetch from API with retry logic
-    let lastError = null;
-    for (let attempt = 1; attempt <= PERF_CONFIG.RETRY_ATTEMPTS; attempt++) {
-        const endpoint = `/extension/vendor-data/${platform}/${vendorCode}`;
-        const result = await fetchFromAPI(endpoint);
-        
-        if (result.success) {
-            // Cache the response
-            vendorDataCache.set(cacheKey, result.data);
-            Logger.performance(`Vendor data cached for ${cacheKey} (attempt ${attempt})`);
-            return result;
-        }
-        
-        lastError = result;
-        
-        if (!result.isTimeout && !result.isConnectionError) {
-            break; // Don't retry on non-network errors
+// ===== OFFLINE MAPPING DATA =====
+// Vendor and item mappings loaded from CSV/JSON files, served in the same shape
+// as `/vendors` and `/extension/vendor-data/{platform}/{code}` so the rest of
+// the pipeline cannot tell the difference. Imported files take precedence over
+// the ones bundled under data/.
+const OFFLINE_DATA_FILES = {
+    vendors: 'data/vendors.csv',
+    items: 'data/item_mappings.csv'
+};
+const OFFLINE_IMPORT_KEY = 'offlineData';
+
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
-        
-        if (attempt < PERF_CONFIG.RETRY_ATTEMPTS) {
-            const delay = Math.min(1000 * attempt, 3000); // Progressive delay
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    return records.map(values => Object.fromEntries(
+        columns.map((column, index) => [column, (values[index] || '').trim()])
+    ));
+}
+
+function parseOfflineFile(text, fileName = '') {
+    const trimmed = text.trim();
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return JSON.parse(trimmed);
+    }
+    return parseCSV(text);
+}
+
+function normalizeOfflineVendors(raw) {
+    const list = Array.isArray(raw) ? raw : (raw?.vendors || []);
+
+    return list
+        .map(vendor => vendor?.vendor_mapping || vendor)
+        .filter(vendor => vendor && vendor.sf_code && vendor.tf_code)
+        .map((vendor, index) => ({
+            id: Number(vendor.id) || index + 1,
+            sf_code: String(vendor.sf_code),
+            sf_name: vendor.sf_name || '',
+            tf_code: String(vendor.tf_code),
+            tf_name: vendor.tf_name || '',
+            business_line: vendor.business_line || '',
+            created_at: vendor.created_at || null
+        }));
+}
+
+// Accepts flat rows, or `/items/sf/{code}`-style objects carrying a `mappings` array
+function normalizeOfflineItems(raw) {
+    const list = Array.isArray(raw) ? raw : (raw?.items || raw?.mappings ? [raw] : []);
+    const rows = [];
+
+    for (const entry of list) {
+        if (Array.isArray(entry?.mappings)) {
+            entry.mappings.forEach(mapping => rows.push({ sf_code: entry.sf_code, tf_code: entry.tf_code, ...mapping }));
+        } else if (Array.isArray(entry?.items)) {
+            rows.push(...entry.items);
+        } else if (entry) {
+            rows.push(entry);
+        }
+    }
+
+    return rows
+        .map(row => ({
+            sf_code: String(row.sf_code || row.sf_vendor_code || ''),
+            tf_code: String(row.tf_code || row.tf_vendor_code || ''),
+            sf_item_id: parseInt(row.sf_item_id ?? row.sf_id, 10),
+            tf_item_id: parseInt(row.tf_item_id ?? row.tf_id, 10)
+        }))
+        .filter(row => row.sf_code && row.tf_code && !isNaN(row.sf_item_id) && !isNaN(row.tf_item_id));
+}
+
+class OfflineMappingStore {
+    constructor() {
+        this.reset();
+        this.ready = this.load();
+    }
+
+    reset() {
+        this.vendors = [];
+        this.vendorsBySf = new Map();
+        this.vendorsByTf = new Map();
+        this.itemsByVendor = new Map();
+        this.itemCount = 0;
+        this.origin = null; // 'imported' | 'bundled' | null
+        this.fileNames = [];
+        this.loadedAt = null;
+    }
+
+    async load() {
+        try {
+            const stored = await chrome.storage.local.get(OFFLINE_IMPORT_KEY);
+            const imported = stored[OFFLINE_IMPORT_KEY];
+
+            if (imported?.vendors?.length) {
+                this.index(imported.vendors, imported.items || [], 'imported', imported.fileNames || []);
+                this.loadedAt = imported.importedAt || Date.now();
+                return;
+            }
+
+            const [vendorsText, itemsText] = await Promise.all([
+                this.fetchBundledFile(OFFLINE_DATA_FILES.vendors),
+                this.fetchBundledFile(OFFLINE_DATA_FILES.items)
+            ]);
+
+            const vendors = vendorsText ? normalizeOfflineVendors(parseCSV(vendorsText)) : [];
+            const items = itemsText ? normalizeOfflineItems(parseCSV(itemsText)) : [];
+
+            if (vendors.length > 0) {
+                this.index(vendors, items, 'bundled', Object.values(OFFLINE_DATA_FILES));
+                this.loadedAt = Date.now();
+            }
+        } catch (error) {
+            Logger.warn("Offline: Failed to load mapping data:", error);
+        }
+    }
+
+    async fetchBundledFile(path) {
+        try {
+            const response = await fetch(chrome.runtime.getURL(path));
+            return response.ok ? await response.text() : null;
+        } catch (error) {
+            Logger.debug(`Offline: No bundled file at ${path}`);
+            return null;
+        }
+    }
+
+    index(vendors, items, origin, fileNames) {
+        this.reset();
+        this.vendors = vendors;
+        this.origin = origin;
+        this.fileNames = fileNames;
+
+        for (const vendor of vendors) {
+            this.vendorsBySf.set(vendor.sf_code, vendor);
+            this.vendorsByTf.set(vendor.tf_code, vendor);
+        }
+
+        for (const item of items) {
+            const key = `${item.sf_code}|${item.tf_code}`;
+            if (!this.itemsByVendor.has(key)) {
+                this.itemsByVendor.set(key, []);
+            }
+            this.itemsByVendor.get(key).push(item);
+        }
+
+        this.itemCount = items.length;
+        Logger.performance(`Offline: Indexed ${vendors.length} vendors and ${items.length} item mappings (${origin})`);
+    }
+
+    hasData() {
+        return this.vendors.length > 0;
+    }
+
+    async importData({ vendors, items }) {
+        if (!vendors?.text) {
+            throw new Error("A vendors file is required.");
+        }
+
+        const normalizedVendors = normalizeOfflineVendors(parseOfflineFile(vendors.text, vendors.name));
+        const normalizedItems = items?.text ? normalizeOfflineItems(parseOfflineFile(items.text, items.name)) : [];
+
+        if (normalizedVendors.length === 0) {
+            throw new Error("No vendor mappings with both sf_code and tf_code were found.");
+        }
+
+        const payload = {
+            vendors: normalizedVendors,
+            items: normalizedItems,
+            fileNames: [vendors.name, items?.name].filter(Boolean),
+            importedAt: Date.now()
+        };
+
+        await chrome.storage.local.set({ [OFFLINE_IMPORT_KEY]: payload });
+        this.index(payload.vendors, payload.items, 'imported', payload.fileNames);
+        this.loadedAt = payload.importedAt;
+
+        return this.getStatus();
+    }
+
+    async clearImported() {
+        await chrome.storage.local.remove(OFFLINE_IMPORT_KEY);
+        this.reset();
+        this.ready = this.load();
+        await this.ready;
+        return this.getStatus();
+    }
+
+    getVendorsList() {
+        return { success: true, data: this.vendors, source: 'offline' };
+    }
+
+    // Same shape as /vendors/sf/{code} and /vendors/tf/{code}
+    lookupVendor(platform, vendorCode) {
+        const vendor = platform === 'snappfood' ?
+            this.vendorsBySf.get(vendorCode) : this.vendorsByTf.get(vendorCode);
+
+        if (!vendor) {
+            return { success: false, error: "Vendor not found in offline data", status: 404, source: 'offline' };
+        }
+
+        const items = this.itemsByVendor.get(`${vendor.sf_code}|${vendor.tf_code}`) || [];
+        return { success: true, data: { vendor_mapping: { ...vendor }, item_count: items.length }, source: 'offline' };
+    }
+
+    // Same shape as /items/sf/{code}
+    getItemMappings(sfCode) {
+        const vendor = this.vendorsBySf.get(sfCode);
+        if (!vendor) {
+            return { success: false, error: "Vendor not found in offline data", status: 404, source: 'offline' };
+        }
+
+        const mappings = (this.itemsByVendor.get(`${vendor.sf_code}|${vendor.tf_code}`) || [])
+            .map(({ sf_item_id, tf_item_id }) => ({ sf_item_id, tf_item_id }));
+        return {
+            success: true,
+            data: { sf_code: vendor.sf_code, tf_code: vendor.tf_code, sf_name: vendor.sf_name, tf_name: vendor.tf_name, mappings },
+            source: 'offline'
+        };
+    }
+
+    // Same shape as /search/vendors: name matches on either platform
+    searchVendors(query, limit) {
+        const data = this.vendors
+            .filter(vendor => vendor.sf_name.toLowerCase().includes(query) || vendor.tf_name.toLowerCase().includes(query))
+            .slice(0, limit)
+            .map(vendor => ({ vendor_mapping: { ...vendor }, item_count: 0 }));
+        return { success: true, data, source: 'offline' };
+    }
+
+    getStats() {
+        return {
+            success: true,
+            data: {
+                total_vendors: this.vendors.length,
+                total_items: this.itemCount,
+                unique_sf_vendors: this.vendorsBySf.size,
+                unique_tf_vendors: this.vendorsByTf.size
+            },
+            source: 'offline'
+        };
+    }
+
+    // Mirrors /extension/vendor-data: item_mappings is keyed by the requesting platform's item ids
+    getVendorData(platform, vendorCode) {
+        const vendor = platform === 'snappfood' ?
+            this.vendorsBySf.get(vendorCode) : this.vendorsByTf.get(vendorCode);
+
+        if (!vendor) {
+            return { success: false, error: "Vendor not found in offline data", status: 404, source: 'offline' };
+        }
+
+        const item_mappings = {};
+        for (const item of this.itemsByVendor.get(`${vendor.sf_code}|${vendor.tf_code}`) || []) {
+            if (platform === 'snappfood') {
+                item_mappings[item.sf_item_id] = item.tf_item_id;
+            } else {
+                item_mappings[item.tf_item_id] = item.sf_item_id;
+            }
+        }
+
+        return {
+            success: true,
+            data: { vendor_info: { ...vendor }, item_mappings },
+            source: 'offline'
+        };
+    }
+
+    getStatus() {
+        return {
+            available: this.hasData(),
+            origin: this.origin,
+            vendorCount: this.vendors.length,
+            itemCount: this.itemCount,
+            fileNames: this.fileNames,
+            loadedAt: this.loadedAt
+        };
+    }
+}
+
+const offlineMappings = new OfflineMappingStore();
+
+// Which source answered most recently; reported to the popup
+const dataSourceState = {
+    active: 'api',
+    fallbackReason: null,
+    changedAt: Date.now()
+};
+
+function markDataSource(source, fallbackReason = null) {
+    if (dataSourceState.active !== source || dataSourceState.fallbackReason !== fallbackReason) {
+        dataSourceState.active = source;
+        dataSourceState.fallbackReason = fallbackReason;
+        dataSourceState.changedAt = Date.now();
+        Logger.info(`Data source: now serving from ${source}${fallbackReason ? ` (${fallbackReason})` : ''}`);
+    }
+}
+
+async function useOfflineMappings() {
+    await settingsReady;
+    await offlineMappings.ready;
+    return settings.dataSource === 'offline';
+}
+
+// Serves offline data in place of a failed API result when the backend is unreachable
+async function withOfflineFallback(result, loadOffline) {
+    if (result.success) {
+        markDataSource('api');
+        return { ...result, source: 'api' };
+    }
+
+    const isUnreachable = result.isConnectionError || result.isTimeout;
+    if (isUnreachable && settings.offlineFallback && offlineMappings.hasData()) {
+        Logger.warn("Data source: API unreachable, falling back to offline mappings");
+        markDataSource('offline', 'api-unreachable');
+        return { ...loadOffline(), usedFallback: true };
+    }
+
+    return result;
+}
+
+function getDataSourceStatus() {
+    return {
+        mode: settings.dataSource,
+        offlineFallback: settings.offlineFallback,
+        active: settings.dataSource === 'offline' ? 'offline' : dataSourceState.active,
+        fallbackReason: settings.dataSource === 'offline' ? null : dataSourceState.fallbackReason,
+        changedAt: dataSourceState.changedAt,
+        offline: offlineMappings.getStatus()
+    };
+}
+
+// ===== BACKGROUND REVALIDATION =====
+// Expired entries still inside a cache's stale window are served right away
+// while one refresh per key runs here. Tabs are told when a refresh changed
+// the data so their badges can catch up.
+const PLATFORM_TAB_URLS = ['*://*.snappfood.ir/*', '*://*.tapsi.food/*'];
+const revalidations = new Map();
+
+function revalidateInBackground(key, refresh) {
+    if (revalidations.has(key)) return;
+
+    const task = Promise.resolve()
+        .then(refresh)
+        .catch(error => Logger.warn(`Revalidate: ${key} failed:`, error))
+        .finally(() => revalidations.delete(key));
+    revalidations.set(key, task);
+}
+
+async function notifyPlatformTabs(message) {
+    const tabs = await chrome.tabs.query({ url: PLATFORM_TAB_URLS });
+    for (const tab of tabs) {
+        // Tabs without a content script (still loading, discarded) just miss the update
+        chrome.tabs.sendMessage(tab.id, { ...message, protocolVersion: MESSAGE_PROTOCOL_VERSION })
+            .catch(() => {});
+    }
+    Logger.debug(`Revalidate: Sent ${message.action} to ${tabs.length} tabs`);
+}
+
+// ===== OPTIMIZED VENDOR DATA FETCHING =====
+async function getVendorData(platform, vendorCode) {
+    if (await useOfflineMappings()) {
+        return offlineMappings.getVendorData(platform, vendorCode);
+    }
+    
+    const cacheKey = `${platform}-${vendorCode}`;
+    
+    // Check cache first
+    await vendorDataCache.ready;
+    const cached = vendorDataCache.getWithStale(cacheKey);
+    if (cached) {
+        performanceMetrics.cacheHits++;
+        if (cached.isStale) {
+            revalidateInBackground(`vendorData:${cacheKey}`, async () => {
+                const result = await fetchVendorData(platform, vendorCode);
+                if (result.success && JSON.stringify(result.data) !== JSON.stringify(cached.data)) {
+                    await notifyPlatformTabs({ action: 'vendorDataUpdated', platform, vendorCode });
+                }
+            });
+        }
+        return { success: true, data: cached.data, source: 'api', isStale: cached.isStale };
+    }
+    
+    performanceMetrics.cacheMisses++;
+    
+    const result = await fetchVendorData(platform, vendorCode);
+    return withOfflineFallback(result, () => offlineMappings.getVendorData(platform, vendorCode));
+}
+
+// Fetches from the API with retry logic and caches a successful response
+async function fetchVendorData(platform, vendorCode) {
+    const cacheKey = `${platform}-${vendorCode}`;
+    let lastError = null;
+    for (let attempt = 1; attempt <= PERF_CONFIG.RETRY_ATTEMPTS; attempt++) {
+        const endpoint = `/extension/vendor-data/${platform}/${vendorCode}`;
+        const result = await fetchFromAPI(endpoint);
+        
+        if (result.success) {
+            // Cache the response
+            vendorDataCache.set(cacheKey, result.data);
+            Logger.performance(`Vendor data cached for ${cacheKey} (attempt ${attempt})`);
+            return result;
+        }
+        
+        lastError = result;
+        
+        if (!result.isTimeout && !result.isConnectionError) {
+            break; // Don't retry on non-network errors
+        }
+        
+        if (attempt < PERF_CONFIG.RETRY_ATTEMPTS) {
+            const delay = Math.min(1000 * attempt, 3000); // Progressive delay
             Logger.debug(`API: Retrying ${endpoint} in ${delay}ms (attempt ${attempt + 1})`);
             await new Promise(resolve => setTimeout(resolve, delay));
         }
@@ -247,9 +1382,14 @@ async function getVendorData(platform, vendorCode) {
 }
 
 async function getAPIStats() {
+    if (await useOfflineMappings()) {
+        return offlineMappings.getStats();
+    }
+    
+    await apiStatsCache.ready;
     const cached = apiStatsCache.get('stats');
     if (cached) {
-        return { success: true, data: cached };
+        return { success: true, data: cached, source: 'api' };
     }
     
     try {
@@ -257,50 +1397,810 @@ async function getAPIStats() {
         if (result.success) {
             apiStatsCache.set('stats', result.data);
         }
-        return result;
+        return withOfflineFallback(result, () => offlineMappings.getStats());
     } catch (error) {
         Logger.error("Failed to get API stats:", error);
         return { success: false, error: error.message };
     }
 }
 
-async function getVendorsList() {
-    const cached = vendorListCache.get('vendors');
+// ===== VENDOR LIST SYNC =====
+// `/vendors` caps `limit` at 1000, so the full list is paged with `offset` and
+// the merged result is stored in chrome.storage.local (this store, not
+// vendorListCache, is what survives worker restarts). The API has no "since"
+// filter: incremental syncs re-read from a little before the last known
+// offset and keep only records newer than the last `created_at` seen. The
+// page order isn't documented either, so the merged list is only kept when
+// its size matches `/stats` total_vendors; otherwise a full sync runs. A
+// periodic full sync picks up edits and deletions.
+const VENDOR_SYNC_KEY = 'vendorSync';
+const VENDOR_SYNC_PAGE_SIZE = 1000;      // API maximum
+const VENDOR_SYNC_OVERLAP = 100;         // Records re-read on incremental syncs
+const VENDOR_SYNC_MAX_PAGES = 100;       // Safety stop for a misbehaving API
+
+let vendorSyncState = null;
+let vendorSyncInFlight = null;
+
+async function loadVendorSyncState() {
+    if (vendorSyncState) return vendorSyncState;
+
+    try {
+        const stored = await chrome.storage.local.get(VENDOR_SYNC_KEY);
+        vendorSyncState = stored[VENDOR_SYNC_KEY] || null;
+    } catch (error) {
+        Logger.warn("Vendor sync: Failed to load stored list:", error);
+    }
+    return vendorSyncState;
+}
+
+function getCreatedAtTime(vendor) {
+    const time = Date.parse(vendor?.created_at);
+    return isNaN(time) ? 0 : time;
+}
+
+// Mappings are unique per vendor pair; the pair also identifies repeated pages
+function getVendorPairKey(vendor) {
+    return `${vendor.sf_code}:${vendor.tf_code}`;
+}
+
+function dedupeVendors(vendors) {
+    return Array.from(new Map(vendors.map(vendor => [getVendorPairKey(vendor), vendor])).values());
+}
+
+// Server-side mapping count, or null when /stats is unavailable
+async function fetchVendorTotal() {
+    const result = await fetchFromAPI('/stats');
+    const total = result.success ? result.data?.total_vendors : null;
+    return typeof total === 'number' ? total : null;
+}
+
+async function fetchVendorPages(startOffset, businessLine = null) {
+    const vendors = [];
+    const lineFilter = businessLine ? `&business_line=${encodeURIComponent(businessLine)}` : '';
+    let offset = startOffset;
+
+    for (let page = 0; page < VENDOR_SYNC_MAX_PAGES; page++) {
+        const result = await fetchFromAPI(`/vendors?limit=${VENDOR_SYNC_PAGE_SIZE}&offset=${offset}${lineFilter}`);
+        if (!result.success) return result;
+
+        const records = Array.isArray(result.data) ? result.data : [];
+        vendors.push(...records);
+        Logger.debug(`Vendor sync: Page at offset ${offset} returned ${records.length} vendors`);
+
+        if (records.length < VENDOR_SYNC_PAGE_SIZE) break;
+        offset += records.length;
+    }
+
+    return { success: true, data: vendors };
+}
+
+async function syncVendorList({ force = false, full = false } = {}) {
+    if (vendorSyncInFlight) return vendorSyncInFlight;
+
+    vendorSyncInFlight = (async () => {
+        await settingsReady;
+        const previous = await loadVendorSyncState();
+        const now = Date.now();
+        const isSameBackend = previous?.apiBaseUrl === settings.apiBaseUrl;
+
+        // Recent enough: serve the stored list without touching the network
+        if (!force && isSameBackend && now - previous.lastSyncAt < PERF_CONFIG.VENDOR_LIST_CACHE_DURATION) {
+            return { success: true, data: previous.vendors, fromStore: true };
+        }
+
+        const needsFull = full || !isSameBackend ||
+            now - (previous.lastFullSyncAt || 0) > PERF_CONFIG.VENDOR_FULL_SYNC_INTERVAL;
+        let mode = needsFull ? 'full' : 'incremental';
+        let vendors = null;
+        let result;
+
+        if (mode === 'incremental') {
+            result = await fetchVendorPages(Math.max(0, previous.vendors.length - VENDOR_SYNC_OVERLAP));
+            if (result.success) {
+                const knownPairs = new Set(previous.vendors.map(getVendorPairKey));
+                const newer = dedupeVendors(result.data).filter(vendor =>
+                    !knownPairs.has(getVendorPairKey(vendor)) && getCreatedAtTime(vendor) > previous.lastCreatedAt
+                );
+                const merged = previous.vendors.concat(newer);
+
+                const total = await fetchVendorTotal();
+                if (total === merged.length) {
+                    vendors = merged;
+                } else {
+                    Logger.info(`Vendor sync: Incremental list has ${merged.length} vendors but the server reports ${total ?? 'unknown'}, running a full sync`);
+                    mode = 'full';
+                }
+            }
+        }
+
+        if (mode === 'full') {
+            result = await fetchVendorPages(0);
+            if (result.success) vendors = dedupeVendors(result.data);
+        }
+
+        if (!result.success) {
+            if (isSameBackend && previous.vendors.length > 0) {
+                Logger.warn("Vendor sync: Failed, serving last synced list:", result.error);
+                vendorSyncState = { ...previous, lastError: result.error, lastErrorAt: now };
+                return { success: true, data: previous.vendors, isStale: true, error: result.error };
+            }
+            return result;
+        }
+
+        const added = vendors.length - (isSameBackend ? previous.vendors.length : 0);
+
+        vendorSyncState = {
+            apiBaseUrl: settings.apiBaseUrl,
+            vendors,
+            lastCreatedAt: vendors.reduce((latest, vendor) => Math.max(latest, getCreatedAtTime(vendor)), 0),
+            lastSyncAt: now,
+            lastFullSyncAt: mode === 'full' ? now : previous.lastFullSyncAt,
+            lastSyncMode: mode,
+            lastSyncAdded: added,
+            lastError: null,
+            lastErrorAt: null
+        };
+
+        await chrome.storage.local.set({ [VENDOR_SYNC_KEY]: vendorSyncState });
+        Logger.performance(`Vendor sync: ${vendorSyncState.lastSyncMode} sync stored ${vendors.length} vendors (${added} new)`);
+
+        return { success: true, data: vendors };
+    })();
+
+    try {
+        return await vendorSyncInFlight;
+    } finally {
+        vendorSyncInFlight = null;
+    }
+}
+
+async function resetVendorSync() {
+    vendorSyncState = null;
+    try {
+        await chrome.storage.local.remove(VENDOR_SYNC_KEY);
+    } catch (error) {
+        Logger.warn("Vendor sync: Failed to reset stored list:", error);
+    }
+}
+
+function getVendorSyncStatus() {
+    if (!vendorSyncState) {
+        return { total: 0, lastSyncAt: null, lastFullSyncAt: null };
+    }
+
+    return {
+        total: vendorSyncState.vendors.length,
+        lastSyncAt: vendorSyncState.lastSyncAt,
+        lastFullSyncAt: vendorSyncState.lastFullSyncAt,
+        lastSyncMode: vendorSyncState.lastSyncMode,
+        lastSyncAdded: vendorSyncState.lastSyncAdded,
+        lastError: vendorSyncState.lastError
+    };
+}
+
+// ===== BUSINESS LINES =====
+// Every mapping carries a `business_line` (restaurant, cafe, ...). The synced
+// list holds all lines and is filtered here, so switching lines never refetches.
+function normalizeBusinessLine(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+// Vendor counts per line, largest first; vendors without a line count under ''
+function summarizeBusinessLines(vendors) {
+    const counts = new Map();
+    vendors.forEach(vendor => {
+        const line = normalizeBusinessLine(vendor.business_line);
+        counts.set(line, (counts.get(line) || 0) + 1);
+    });
+    return Array.from(counts, ([businessLine, vendorCount]) => ({ businessLine, vendorCount }))
+        .sort((a, b) => b.vendorCount - a.vendorCount);
+}
+
+async function getVendorsList(businessLine = null) {
+    const line = normalizeBusinessLine(businessLine);
+    const result = await loadVendorsList(line);
+    if (!result.success) return result;
+    
+    const businessLines = result.businessLines || summarizeBusinessLines(result.data);
+    
+    // Mapping data without any business lines can't be filtered; serve it whole
+    const canFilter = line && businessLines.some(entry => entry.businessLine);
+    return {
+        ...result,
+        data: canFilter ? result.data.filter(vendor => normalizeBusinessLine(vendor.business_line) === line) : result.data,
+        businessLine: canFilter ? line : null,
+        businessLines
+    };
+}
+
+async function loadVendorsList(businessLine) {
+    if (await useOfflineMappings()) {
+        return offlineMappings.getVendorsList();
+    }
+    
+    await vendorListCache.ready;
+    const cached = vendorListCache.getWithStale('vendors');
     if (cached) {
-        Logger.performance("Using cached vendor list");
-        return { success: true, data: cached };
+        Logger.performance(`Using ${cached.isStale ? 'stale' : 'cached'} vendor list`);
+        if (cached.isStale) {
+            revalidateInBackground('vendorList', async () => {
+                const result = await syncAndCacheVendorList();
+                if (result.success && getVendorPairsSignature(result.data) !== getVendorPairsSignature(cached.data)) {
+                    await notifyPlatformTabs({ action: 'vendorListUpdated' });
+                }
+            });
+        }
+        return { success: true, data: cached.data, source: 'api', isStale: cached.isStale };
     }
     
     try {
-        const result = await fetchFromAPI('/vendors?limit=1000');
-        
-        if (result.success) {
-            vendorListCache.set('vendors', result.data);
-            Logger.performance(`Cached vendor list with ${result.data?.length || 0} vendors`);
-        } else {
-            Logger.warn("Failed to fetch vendor list:", result.error);
+        // Nothing synced for this backend yet: a service page only waits for its
+        // own line, and the full sync carries on in the background
+        const stored = await loadVendorSyncState();
+        if (businessLine && stored?.apiBaseUrl !== settings.apiBaseUrl) {
+            const lineResult = await fetchVendorPages(0, businessLine);
+            if (lineResult.success) {
+                revalidateInBackground('vendorList', syncAndCacheVendorList);
+                markDataSource('api');
+                return { ...lineResult, source: 'api', businessLines: summarizeBusinessLines(lineResult.data) };
+            }
         }
         
-        return result;
+        const result = await syncAndCacheVendorList();
+        return withOfflineFallback(result, () => offlineMappings.getVendorsList());
     } catch (error) {
-        Logger.error("Exception in getVendorsList:", error);
+        Logger.error("Exception in loadVendorsList:", error);
         return { success: false, error: error.message };
     }
 }
 
-// ===== OPTIMIZED COMPARISON FUNCTION =====
-function processAndCompare(sfProducts, tfProducts, sourcePlatform, itemMappings) {
-    const startTime = performance.now();
+async function syncAndCacheVendorList() {
+    const result = await syncVendorList();
     
-    Logger.debug(`Comparison: Starting for ${sourcePlatform}`);
-    Logger.debug(`Comparison: SF products: ${Object.keys(sfProducts).length}, TF products: ${Object.keys(tfProducts).length}, Mappings: ${Object.keys(itemMappings).length}`);
+    // A stale list is still served, but the next request should retry the sync
+    if (result.success && !result.isStale) {
+        vendorListCache.set('vendors', result.data);
+        Logger.performance(`Cached vendor list with ${result.data?.length || 0} vendors`);
+    } else if (!result.success) {
+        Logger.warn("Failed to fetch vendor list:", result.error);
+    }
+    return result;
+}
+
+// Pages only care which vendors are paired, not other record edits
+function getVendorPairsSignature(vendors) {
+    return (vendors || []).map(getVendorPairKey).sort().join('|');
+}
+
+// ===== VENDOR SEARCH =====
+// The synced list is what the widget searches locally, but `/search/vendors`
+// covers every mapping on the server. Each tab's searches are debounced here
+// so typing only sends the last query; superseded calls resolve empty.
+const vendorSearchDebounce = new Map(); // callerKey -> { timer, resolve }
+
+function normalizeSearchQuery(query) {
+    return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function cancelPendingVendorSearch(callerKey) {
+    const pending = vendorSearchDebounce.get(callerKey);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    vendorSearchDebounce.delete(callerKey);
+    pending.resolve(false);
+}
+
+// Resolves true once no newer search from the same caller arrived in time
+function debounceVendorSearch(callerKey) {
+    cancelPendingVendorSearch(callerKey);
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            vendorSearchDebounce.delete(callerKey);
+            resolve(true);
+        }, PERF_CONFIG.VENDOR_SEARCH_DEBOUNCE);
+        vendorSearchDebounce.set(callerKey, { timer, resolve });
+    });
+}
+
+async function searchVendors(query, { limit = PERF_CONFIG.VENDOR_SEARCH_LIMIT, callerKey = 'default' } = {}) {
+    const q = normalizeSearchQuery(query);
+    if (q.length < 2) {
+        cancelPendingVendorSearch(callerKey);
+        return { success: true, data: [], query: q };
+    }
+    
+    if (await useOfflineMappings()) {
+        return { ...offlineMappings.searchVendors(q, limit), query: q };
+    }
+    
+    const cacheKey = `${limit}:${q}`;
+    const cached = vendorSearchCache.get(cacheKey);
+    if (cached) {
+        cancelPendingVendorSearch(callerKey);
+        return { success: true, data: cached, query: q, source: 'api' };
+    }
+    
+    if (!await debounceVendorSearch(callerKey)) {
+        return { success: true, data: [], query: q, superseded: true };
+    }
+    
+    const result = await fetchFromAPI(`/search/vendors?q=${encodeURIComponent(q)}&limit=${limit}`);
+    if (result.success) {
+        // The result may be shared with other callers, so don't mutate it
+        const vendors = Array.isArray(result.data) ? result.data : [];
+        vendorSearchCache.set(cacheKey, vendors);
+        return { success: true, data: vendors, query: q, source: 'api' };
+    }
+    return { ...await withOfflineFallback(result, () => offlineMappings.searchVendors(q, limit)), query: q };
+}
+
+// ===== VENDOR LOOKUP =====
+// One vendor by platform code, for callers that only need to know whether the
+// current restaurant is paired. Misses are cached too, so an unsupported
+// restaurant doesn't hit the backend every time the popup opens.
+function toVendorLookup(platform, vendorCode, lookup) {
+    const mapping = lookup?.vendor_mapping || null;
+    if (!mapping) {
+        return { platform, vendorCode, supported: false, mapping: null, itemCount: 0, counterpart: null };
+    }
+
+    const isSnappfood = platform === 'snappfood';
+    return {
+        platform,
+        vendorCode,
+        supported: true,
+        mapping,
+        name: isSnappfood ? mapping.sf_name : mapping.tf_name,
+        itemCount: lookup.item_count || 0,
+        counterpart: {
+            platform: isSnappfood ? 'tapsifood' : 'snappfood',
+            vendorCode: isSnappfood ? mapping.tf_code : mapping.sf_code,
+            name: isSnappfood ? mapping.tf_name : mapping.sf_name
+        }
+    };
+}
+
+async function lookupVendor(platform, vendorCode) {
+    const code = String(vendorCode);
+    
+    if (await useOfflineMappings()) {
+        const result = offlineMappings.lookupVendor(platform, code);
+        return { success: true, data: toVendorLookup(platform, code, result.data), source: 'offline' };
+    }
+    
+    await vendorLookupCache.ready;
+    const cacheKey = `${platform}-${code}`;
+    const cached = vendorLookupCache.get(cacheKey);
+    if (cached) {
+        return { success: true, data: cached, source: 'api' };
+    }
+    
+    const prefix = platform === 'snappfood' ? 'sf' : 'tf';
+    const apiResult = await fetchFromAPI(`/vendors/${prefix}/${encodeURIComponent(code)}`);
+    
+    // A 404 is an answer ("not paired"), not a failure
+    if (apiResult.success || apiResult.status === 404) {
+        const data = toVendorLookup(platform, code, apiResult.success ? apiResult.data : null);
+        vendorLookupCache.set(cacheKey, data);
+        markDataSource('api');
+        return { success: true, data, source: 'api' };
+    }
+    
+    const result = await withOfflineFallback(apiResult, () => offlineMappings.lookupVendor(platform, code));
+    if (!result.usedFallback) return result;
+    return { success: true, data: toVendorLookup(platform, code, result.data), source: 'offline', usedFallback: true };
+}
+
+// ===== ORDER COST =====
+// Sticker prices alone are misleading: delivery, packaging, service fees and
+// VAT differ per vendor and per platform. Field names are collected from both
+// payloads defensively since neither platform documents them; a fee that
+// cannot be found stays null and is treated as zero in totals.
+const FEE_FIELDS = {
+    snappfood: {
+        deliveryFee: ['deliveryFee', 'delivery_fee', 'deliveryPrice'],
+        packagingFee: ['containerFee', 'packagingFee', 'containerPrice'],
+        serviceFee: ['serviceFee', 'service_fee', 'serviceFeeAmount'],
+        minOrder: ['minOrder', 'minimumOrder', 'min_order'],
+        vatRate: ['vat', 'tax', 'taxPercent', 'vatPercent']
+    },
+    tapsifood: {
+        deliveryFee: ['deliveryFee', 'deliveryPrice', 'deliveryCost'],
+        packagingFee: ['packagingFee', 'packagingPrice', 'containerPrice'],
+        serviceFee: ['serviceFee', 'servicePrice', 'serviceCharge'],
+        minOrder: ['minimumOrderPrice', 'minOrderPrice', 'minOrder', 'minimumOrder'],
+        vatRate: ['vatPercentage', 'vatPercent', 'vat', 'taxPercentage']
+    }
+};
+
+function pickNumber(source, keys) {
+    if (!source || typeof source !== 'object') return null;
+
+    for (const key of keys) {
+        const value = source[key];
+        if (typeof value === 'number' && isFinite(value)) return value;
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return parseFloat(value);
+        if (value && typeof value === 'object' && typeof value.amount === 'number') return value.amount;
+    }
+    return null;
+}
+
+function extractVendorFees(platform, vendor) {
+    const fees = {};
+    for (const [fee, keys] of Object.entries(FEE_FIELDS[platform])) {
+        fees[fee] = pickNumber(vendor, keys);
+    }
+
+    // Some responses carry VAT as a fraction (0.1) rather than a percentage
+    if (fees.vatRate !== null && fees.vatRate > 0 && fees.vatRate < 1) {
+        fees.vatRate = fees.vatRate * 100;
+    }
+    return fees;
+}
+
+// items: [{ price, packagingFee?, quantity? }]
+function computeOrderCost(items, fees = {}) {
+    let subtotal = 0;
+    let itemPackaging = 0;
+
+    for (const item of items) {
+        const quantity = item.quantity || 1;
+        subtotal += (item.price || 0) * quantity;
+        itemPackaging += (item.packagingFee || 0) * quantity;
+    }
+
+    const packagingFee = itemPackaging + (fees.packagingFee || 0);
+    const deliveryFee = fees.deliveryFee || 0;
+    const serviceFee = fees.serviceFee || 0;
+    const vat = Math.round((subtotal + packagingFee) * (fees.vatRate || 0) / 100);
+
+    return {
+        subtotal,
+        deliveryFee,
+        packagingFee,
+        serviceFee,
+        vat,
+        total: subtotal + packagingFee + deliveryFee + serviceFee + vat,
+        minOrder: fees.minOrder || 0,
+        belowMinimum: Boolean(fees.minOrder) && subtotal < fees.minOrder
+    };
+}
+
+// Missing fees count as zero in totals, so a side whose fee fields weren't
+// found would look cheaper "including fees"; only cost-affecting fees count
+function hasKnownFees(fees) {
+    return Boolean(fees) && ['deliveryFee', 'packagingFee', 'serviceFee', 'vatRate']
+        .some(fee => fees[fee] !== null && fees[fee] !== undefined);
+}
+
+function compareOrderCosts(baseCost, counterpartCost) {
+    const diff = baseCost.total - counterpartCost.total;
+    return {
+        base: baseCost,
+        counterpart: counterpartCost,
+        diff,
+        percentDiff: baseCost.total > 0 ? Math.round((Math.abs(diff) / baseCost.total) * 100) : 0
+    };
+}
+
+// ===== SIZE VARIATION MATCHING =====
+// TapsiFood lists sizes as variations of one product while SnappFood usually
+// lists each size as its own product, so a mapped pair has to be narrowed
+// down to the variation that matches the other platform's item.
+const SIZE_TOKENS = {
+    small: ['کوچک', 'اسمال', 'small', 'تک نفره', 'یک نفره'],
+    medium: ['متوسط', 'مدیوم', 'medium'],
+    large: ['بزرگ', 'لارج', 'large'],
+    family: ['خانواده', 'خانوادگی', 'فمیلی', 'family']
+};
+
+function normalizePersianText(text) {
+    return String(text || '')
+        .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+        .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/ي/g, 'ی')
+        .replace(/ك/g, 'ک')
+        .replace(/[\u064B-\u065F\u0640]/g, '') // Diacritics and tatweel
+        .replace(/[‌_\-()+،,.\/«»"']/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function detectSize(normalizedText) {
+    for (const [size, tokens] of Object.entries(SIZE_TOKENS)) {
+        if (tokens.some(token => normalizedText.includes(token))) return size;
+    }
+    return null;
+}
+
+function extractCentimeters(normalizedText) {
+    const match = normalizedText.match(/(\d+)\s*(?:سانت|cm)/);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Returns { variation, matchedBy } or null when the product has no size choice
+function selectVariation(variations, referenceName) {
+    if (!Array.isArray(variations) || variations.length < 2) return null;
+
+    const reference = normalizePersianText(referenceName);
+    const named = variations
+        .map(variation => ({ variation, name: normalizePersianText(variation.name) }))
+        .filter(entry => entry.name);
+
+    // Longest name first so "بزرگ ویژه" wins over "بزرگ"
+    const byName = named
+        .filter(entry => reference.includes(entry.name))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (byName) return { variation: byName.variation, matchedBy: 'name' };
+
+    const referenceSize = detectSize(reference);
+    if (referenceSize) {
+        const bySize = named.find(entry => detectSize(entry.name) === referenceSize);
+        if (bySize) return { variation: bySize.variation, matchedBy: 'size' };
+    }
+
+    const referenceCm = extractCentimeters(reference);
+    if (referenceCm) {
+        const byCm = named.find(entry => extractCentimeters(entry.name) === referenceCm);
+        if (byCm) return { variation: byCm.variation, matchedBy: 'size' };
+    }
+
+    return { variation: variations[0], matchedBy: 'default' };
+}
+
+function applyVariation(product, referenceName) {
+    const match = selectVariation(product.variations, referenceName);
+    if (!match) return product;
+
+    const { variation, matchedBy } = match;
+    return {
+        ...product,
+        price: variation.price,
+        originalPrice: variation.originalPrice,
+        discount: variation.discount,
+        discountRatio: variation.discountRatio,
+        packagingFee: variation.packagingFee,
+        variation: {
+            id: variation.id,
+            name: variation.name,
+            matchedBy
+        }
+    };
+}
+
+// ===== MANUAL ITEM LINKS =====
+// User corrections to the mapping data, stored per vendor pair in SnappFood →
+// TapsiFood orientation (like data/item_mappings.csv) so they read the same
+// from either site and can be exported for the backend as-is.
+const ITEM_OVERRIDES_KEY = 'itemOverrides';
+
+function getOverrideVendorKey(vendorInfo) {
+    return `${vendorInfo.sf_code}:${vendorInfo.tf_code}`;
+}
+
+async function loadItemOverrides() {
+    const stored = await chrome.storage.local.get(ITEM_OVERRIDES_KEY);
+    return stored[ITEM_OVERRIDES_KEY] || {};
+}
+
+async function getVendorItemOverrides(vendorInfo) {
+    const overrides = await loadItemOverrides();
+    return overrides[getOverrideVendorKey(vendorInfo)] || { links: [], unlinks: [] };
+}
+
+// type: 'link' pairs the two items, 'unlink' breaks their pairing, 'clear' drops any override on baseItem
+async function setItemOverride({ vendorInfo, sourcePlatform, baseItem, counterpartItem, type }) {
+    if (!vendorInfo?.sf_code || !vendorInfo?.tf_code || baseItem?.id === undefined) {
+        throw new Error("Vendor and item are required.");
+    }
+    if (type !== 'clear' && counterpartItem?.id === undefined) {
+        throw new Error("Counterpart item is required.");
+    }
+
+    const isSf = sourcePlatform === 'snappfood';
+    const baseKey = isSf ? 'sfItemId' : 'tfItemId';
+    const counterpartKey = isSf ? 'tfItemId' : 'sfItemId';
+
+    const overrides = await loadItemOverrides();
+    const vendorKey = getOverrideVendorKey(vendorInfo);
+    const vendor = overrides[vendorKey] || { links: [], unlinks: [] };
+
+    const baseId = String(baseItem.id);
+    const counterpartId = counterpartItem ? String(counterpartItem.id) : null;
+    const entry = counterpartItem && {
+        [baseKey]: baseId,
+        [counterpartKey]: counterpartId,
+        [isSf ? 'sfName' : 'tfName']: baseItem.name || '',
+        [isSf ? 'tfName' : 'sfName']: counterpartItem.name || '',
+        createdAt: Date.now()
+    };
+
+    // Every change replaces whatever the user said about this base item before
+    vendor.links = vendor.links.filter(link => link[baseKey] !== baseId);
+    vendor.unlinks = vendor.unlinks.filter(unlink => unlink[baseKey] !== baseId);
+
+    if (type === 'link') {
+        // Keep links one-to-one on the counterpart side as well
+        vendor.links = vendor.links.filter(link => link[counterpartKey] !== counterpartId);
+        vendor.links.push(entry);
+    } else if (type === 'unlink') {
+        vendor.unlinks.push(entry);
+    } else if (type !== 'clear') {
+        throw new Error(`Unknown override type: ${type}`);
+    }
+
+    if (vendor.links.length === 0 && vendor.unlinks.length === 0) {
+        delete overrides[vendorKey];
+    } else {
+        overrides[vendorKey] = { ...vendor, updatedAt: Date.now() };
+    }
+
+    await chrome.storage.local.set({ [ITEM_OVERRIDES_KEY]: overrides });
+    Logger.info(`Overrides: ${type} ${sourcePlatform} item ${baseId} for ${vendorKey}`);
+    return overrides[vendorKey] || { links: [], unlinks: [] };
+}
+
+// Returns mappings in the base platform's orientation with overrides applied
+function applyItemOverrides(itemMappings, overrides, sourcePlatform) {
+    const mappings = { ...itemMappings };
+    const manualIds = new Set();
+    const blockedPairs = new Set();
+    if (!overrides) return { mappings, manualIds, blockedPairs };
+
+    const baseKey = sourcePlatform === 'snappfood' ? 'sfItemId' : 'tfItemId';
+    const counterpartKey = sourcePlatform === 'snappfood' ? 'tfItemId' : 'sfItemId';
+
+    for (const unlink of overrides.unlinks || []) {
+        if (String(mappings[unlink[baseKey]]) === unlink[counterpartKey]) {
+            delete mappings[unlink[baseKey]];
+        }
+        blockedPairs.add(`${unlink[baseKey]}|${unlink[counterpartKey]}`);
+    }
+
+    const linkedCounterparts = new Set((overrides.links || []).map(link => link[counterpartKey]));
+    for (const [baseId, counterpartId] of Object.entries(mappings)) {
+        // A manual link takes the counterpart away from whatever the backend paired it with
+        if (linkedCounterparts.has(String(counterpartId))) delete mappings[baseId];
+    }
+    for (const link of overrides.links || []) {
+        mappings[link[baseKey]] = link[counterpartKey];
+        manualIds.add(link[baseKey]);
+    }
+
+    return { mappings, manualIds, blockedPairs };
+}
+
+// Export rows use the data/item_mappings.csv columns so they can be merged upstream
+async function exportItemOverrides() {
+    const overrides = await loadItemOverrides();
+    const toRow = (sf_code, tf_code, entry) => ({
+        sf_code,
+        tf_code,
+        sf_item_id: entry.sfItemId,
+        tf_item_id: entry.tfItemId,
+        sf_item_name: entry.sfName || '',
+        tf_item_name: entry.tfName || ''
+    });
+
+    const links = [];
+    const unlinks = [];
+    for (const [vendorKey, vendor] of Object.entries(overrides)) {
+        const [sfCode, tfCode] = vendorKey.split(':');
+        vendor.links.forEach(link => links.push(toRow(sfCode, tfCode, link)));
+        vendor.unlinks.forEach(unlink => unlinks.push(toRow(sfCode, tfCode, unlink)));
+    }
+
+    return {
+        format: 'item-overrides',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        apiBaseUrl: settings.apiBaseUrl,
+        links,
+        unlinks
+    };
+}
+
+// ===== FUZZY NAME MATCHING =====
+// Fallback for items the mapping data doesn't cover yet (usually new menu
+// items). Pairs are scored on shared name tokens and price proximity, then
+// assigned greedily so each counterpart item is used at most once.
+const FUZZY_STOPWORDS = new Set(['و', 'با', 'به', 'در', 'از', 'یک', 'عدد', 'پرس', 'ویژه']);
+
+function tokenizeProductName(name) {
+    return new Set(
+        normalizePersianText(name)
+            .split(' ')
+            .filter(token => token && !FUZZY_STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)))
+    );
+}
+
+function scoreNameMatch(baseEntry, counterpartEntry) {
+    let shared = 0;
+    for (const token of baseEntry.tokens) {
+        if (counterpartEntry.tokens.has(token)) shared++;
+    }
+    if (shared === 0) return null;
+
+    // Dice coefficient over name tokens
+    const tokenScore = (2 * shared) / (baseEntry.tokens.size + counterpartEntry.tokens.size);
+    if (tokenScore < PERF_CONFIG.FUZZY_MATCH_MIN_TOKEN_SCORE) return null;
+
+    const maxPrice = Math.max(baseEntry.product.price, counterpartEntry.product.price);
+    const priceScore = maxPrice > 0 ?
+        1 - Math.min(1, Math.abs(baseEntry.product.price - counterpartEntry.product.price) / maxPrice) : 0;
+
+    let confidence = 0.75 * tokenScore + 0.25 * priceScore;
+
+    // A small and a large of the same dish share every other token
+    if (baseEntry.size && counterpartEntry.size && baseEntry.size !== counterpartEntry.size) {
+        confidence *= 0.5;
+    }
+    return confidence;
+}
+
+// Returns [{ baseId, counterpartId, confidence }]
+function findFuzzyMatches(baseProducts, counterpartProducts, excludedBaseIds, excludedCounterpartIds, blockedPairs = new Set()) {
+    const toEntry = ([id, product]) => {
+        const normalized = normalizePersianText(product.name);
+        return { id, product, tokens: tokenizeProductName(product.name), size: detectSize(normalized) };
+    };
+
+    const baseEntries = Object.entries(baseProducts)
+        .filter(([id]) => !excludedBaseIds.has(String(id)))
+        .map(toEntry);
+    const counterpartEntries = Object.entries(counterpartProducts)
+        .filter(([id]) => !excludedCounterpartIds.has(String(id)))
+        .map(toEntry);
+
+    const candidates = [];
+    for (const baseEntry of baseEntries) {
+        if (baseEntry.tokens.size === 0) continue;
+        for (const counterpartEntry of counterpartEntries) {
+            // Pairs the user explicitly unlinked are never re-matched by name
+            if (blockedPairs.has(`${baseEntry.id}|${counterpartEntry.id}`)) continue;
+            const confidence = scoreNameMatch(baseEntry, counterpartEntry);
+            if (confidence !== null && confidence >= PERF_CONFIG.FUZZY_MATCH_MIN_CONFIDENCE) {
+                candidates.push({ baseId: baseEntry.id, counterpartId: counterpartEntry.id, confidence });
+            }
+        }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    const usedBase = new Set();
+    const usedCounterpart = new Set();
+    const matches = [];
+    for (const candidate of candidates) {
+        if (usedBase.has(candidate.baseId) || usedCounterpart.has(candidate.counterpartId)) continue;
+        usedBase.add(candidate.baseId);
+        usedCounterpart.add(candidate.counterpartId);
+        matches.push({ ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 });
+    }
+    return matches;
+}
+
+// ===== OPTIMIZED COMPARISON FUNCTION =====
+function processAndCompare(sfProducts, tfProducts, sourcePlatform, backendMappings, vendorFees = {}, overrides = null) {
+    const startTime = performance.now();
+    
+    // User links and unlinks take precedence over the backend's mappings
+    const { mappings: itemMappings, manualIds, blockedPairs } = applyItemOverrides(backendMappings, overrides, sourcePlatform);
+    
+    Logger.debug(`Comparison: Starting for ${sourcePlatform}`);
+    Logger.debug(`Comparison: SF products: ${Object.keys(sfProducts).length}, TF products: ${Object.keys(tfProducts).length}, Mappings: ${Object.keys(itemMappings).length}`);
     
     const comparisonResults = {};
     const baseProducts = sourcePlatform === 'snappfood' ? sfProducts : tfProducts;
     const counterpartProducts = sourcePlatform === 'snappfood' ? tfProducts : sfProducts;
+    const baseFees = vendorFees[sourcePlatform] || {};
+    const counterpartFees = vendorFees[sourcePlatform === 'snappfood' ? 'tapsifood' : 'snappfood'] || {};
     
     let foundMappings = 0;
     let validComparisons = 0;
+    const mappedCounterpartIds = new Set();
     
     // Process in chunks for better performance
     const productIds = Object.keys(baseProducts);
@@ -317,22 +2217,11 @@ function processAndCompare(sfProducts, tfProducts, sourcePlatform, itemMappings)
                 foundMappings++;
                 
                 if (counterpartProducts[counterpartId]) {
-                    const baseProduct = baseProducts[baseId];
-                    const counterpartProduct = counterpartProducts[counterpartId];
+                    mappedCounterpartIds.add(String(counterpartId));
                     
-                    if (baseProduct.price > 0) { // Avoid division by zero
-                        const priceDiff = baseProduct.price - counterpartProduct.price;
-                        const percentDiff = Math.round((Math.abs(priceDiff) / baseProduct.price) * 100);
-                        
-                        comparisonResults[baseId] = {
-                            baseProduct,
-                            counterpartProduct,
-                            priceDiff,
-                            percentDiff,
-                            isCheaper: priceDiff > 0,
-                            isMoreExpensive: priceDiff < 0,
-                            isSamePrice: priceDiff === 0
-                        };
+                    const comparison = buildComparison(baseProducts[baseId], counterpartProducts[counterpartId], baseFees, counterpartFees);
+                    if (comparison) {
+                        comparisonResults[baseId] = { ...comparison, matchType: manualIds.has(baseId) ? 'manual' : 'mapping' };
                         validComparisons++;
                     }
                 }
@@ -340,29 +2229,414 @@ function processAndCompare(sfProducts, tfProducts, sourcePlatform, itemMappings)
         }
     }
     
+    // Items without a backend mapping fall back to name matching
+    const fuzzyMatches = findFuzzyMatches(
+        baseProducts,
+        counterpartProducts,
+        new Set(Object.keys(baseProducts).filter(id => itemMappings[parseInt(id)])),
+        mappedCounterpartIds,
+        blockedPairs
+    );
+    
+    for (const { baseId, counterpartId, confidence } of fuzzyMatches) {
+        const comparison = buildComparison(baseProducts[baseId], counterpartProducts[counterpartId], baseFees, counterpartFees);
+        if (comparison) {
+            comparisonResults[baseId] = {
+                ...comparison,
+                matchType: 'fuzzy',
+                confidence,
+                isEstimated: confidence < PERF_CONFIG.FUZZY_MATCH_ESTIMATE_BELOW
+            };
+        }
+    }
+    
     const processTime = performance.now() - startTime;
-    Logger.performance(`Comparison: Processed ${foundMappings} mappings, created ${validComparisons} comparisons in ${processTime.toFixed(2)}ms`);
+    Logger.performance(`Comparison: Processed ${foundMappings} mappings, created ${validComparisons} comparisons and ${fuzzyMatches.length} name matches in ${processTime.toFixed(2)}ms`);
     
     return comparisonResults;
 }
 
+function buildComparison(baseMenuProduct, counterpartMenuProduct, baseFees, counterpartFees) {
+    // Narrow multi-size products to the variation named like the other side
+    const baseProduct = applyVariation(baseMenuProduct, counterpartMenuProduct.name);
+    const counterpartProduct = applyVariation(counterpartMenuProduct, baseProduct.name);
+    
+    if (!(baseProduct.price > 0)) return null; // Avoid division by zero
+    
+    const priceDiff = baseProduct.price - counterpartProduct.price;
+    const percentDiff = Math.round((Math.abs(priceDiff) / baseProduct.price) * 100);
+    
+    return {
+        baseProduct,
+        counterpartProduct,
+        priceDiff,
+        percentDiff,
+        isCheaper: priceDiff > 0,
+        isMoreExpensive: priceDiff < 0,
+        isSamePrice: priceDiff === 0,
+        // Cost of ordering just this item on each platform; without fees on
+        // both sides the page falls back to the item-price difference
+        orderCost: hasKnownFees(baseFees) && hasKnownFees(counterpartFees) ?
+            compareOrderCosts(
+                computeOrderCost([baseProduct], baseFees),
+                computeOrderCost([counterpartProduct], counterpartFees)
+            ) : null
+    };
+}
+
+// ===== DELIVERY LOCATION =====
+// Platform prices, availability and delivery depend on where the order goes.
+// The active location is either a saved address or, in 'auto' mode, the
+// address last detected on SnappFood/TapsiFood; without either, each platform
+// keeps the central-Tehran coordinates it always used.
+const DEFAULT_PLATFORM_LOCATIONS = {
+    snappfood: { lat: 35.715, lng: 51.404 },
+    tapsifood: { lat: 35.7559, lng: 51.4132 }
+};
+const DETECTED_LOCATION_KEY = 'detectedLocation';
+
+let detectedLocation = null;
+const detectedLocationReady = chrome.storage.local.get(DETECTED_LOCATION_KEY)
+    .then(stored => { detectedLocation = stored[DETECTED_LOCATION_KEY] || null; })
+    .catch(error => Logger.warn("Location: Failed to load detected location:", error));
+
+function normalizeLocation(value) {
+    const lat = parseFloat(value?.lat ?? value?.latitude);
+    const lng = parseFloat(value?.lng ?? value?.long ?? value?.longitude);
+
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+function normalizeSavedAddresses(value) {
+    if (!Array.isArray(value)) return null;
+
+    return value
+        .map((address, index) => {
+            const location = normalizeLocation(address);
+            if (!location) return null;
+
+            return {
+                id: String(address.id || `address-${Date.now()}-${index}`),
+                label: String(address.label || '').trim().slice(0, 80) || `آدرس ${index + 1}`,
+                ...location
+            };
+        })
+        .filter(Boolean);
+}
+
+async function rememberDetectedLocation(value, platform) {
+    const location = normalizeLocation(value);
+    if (!location) return false;
+
+    await detectedLocationReady;
+
+    // Ignore jitter below ~10m so repeated page loads don't rewrite storage
+    if (detectedLocation &&
+        Math.abs(detectedLocation.lat - location.lat) < 0.0001 &&
+        Math.abs(detectedLocation.lng - location.lng) < 0.0001) {
+        return false;
+    }
+
+    detectedLocation = {
+        ...location,
+        label: typeof value.label === 'string' ? value.label.slice(0, 120) : '',
+        platform,
+        detectedAt: Date.now()
+    };
+    await chrome.storage.local.set({ [DETECTED_LOCATION_KEY]: detectedLocation });
+    Logger.info(`Location: Detected ${location.lat},${location.lng} on ${platform}`);
+    return true;
+}
+
+// Returns null when the platform defaults should be used
+async function resolveActiveLocation() {
+    await settingsReady;
+    await detectedLocationReady;
+
+    if (settings.activeLocation !== 'auto') {
+        const address = settings.savedAddresses.find(a => a.id === settings.activeLocation);
+        if (address) {
+            return { lat: address.lat, lng: address.lng, label: address.label, source: 'saved' };
+        }
+    }
+
+    if (detectedLocation) {
+        return {
+            lat: detectedLocation.lat,
+            lng: detectedLocation.lng,
+            label: detectedLocation.label,
+            source: 'detected'
+        };
+    }
+
+    return null;
+}
+
+function getPlatformLocation(platform, location) {
+    return location || DEFAULT_PLATFORM_LOCATIONS[platform];
+}
+
+function getLocationCacheKey(location) {
+    return `${location.lat.toFixed(4)},${location.lng.toFixed(4)}`;
+}
+
+// ===== PLATFORM RESPONSE VALIDATION =====
+// Neither platform API is public, so every field the fetchers read is checked
+// on each response. Missing fields are recorded with the time they were first
+// seen missing, and the shape of the last valid payload is kept for diffing.
+// Price-adjusting fields the fetchers default to zero are listed under
+// optionalFields: absent everywhere is a warning, but a wrong type is drift.
+// A field given as a list matches whichever name the item has.
+const PLATFORM_SCHEMA_KEY = 'platformSchemaStatus';
+const PLATFORM_SCHEMAS = {
+    snappfood: {
+        root: [['data', 'object'], ['data.menus', 'array']],
+        collections: [
+            { path: 'data.menus[]', fields: [['products', 'array']] },
+            {
+                path: 'data.menus[].products[]',
+                fields: [['id', 'defined'], ['title', 'string'], ['price', 'number']],
+                optionalFields: [['discount', 'number'], ['discountRatio', 'number'], ['containerPrice', 'number']]
+            }
+        ],
+        optional: [['data.vendor', 'object']]
+    },
+    tapsifood: {
+        root: [['data', 'object'], ['data.categories', 'array']],
+        collections: [
+            { path: 'data.categories[]', fields: [['products', 'array']] },
+            { path: 'data.categories[].products[]', fields: [['productId', 'defined'], ['productName', 'string'], ['productVariations', 'array']] },
+            {
+                path: 'data.categories[].products[].productVariations[]',
+                fields: [['price', 'number']],
+                optionalFields: [
+                    ['priceAfterDiscount', 'number'],
+                    ['discountRatio', 'number'],
+                    [['productVariationName', 'name', 'title'], 'string'],
+                    [['packagingPrice', 'containerPrice'], 'number']
+                ]
+            }
+        ],
+        optional: [['data.vendor', 'object']]
+    }
+};
+
+let platformSchemaState = {};
+const platformSchemaReady = chrome.storage.local.get(PLATFORM_SCHEMA_KEY)
+    .then(stored => { platformSchemaState = stored[PLATFORM_SCHEMA_KEY] || {}; })
+    .catch(error => Logger.warn("Schema: Failed to load platform status:", error));
+
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'defined') return value !== undefined && value !== null;
+    return typeof value === type;
+}
+
+// Returns the first of the field's alternative names that is set on the item
+function readSchemaField(item, field) {
+    const names = Array.isArray(field) ? field : [field];
+    for (const name of names) {
+        if (item?.[name] !== undefined && item?.[name] !== null) return item[name];
+    }
+    return undefined;
+}
+
+// Resolves "a.b[].c[]" to the flattened list of values at that path
+function collectAtPath(root, path) {
+    let values = [root];
+    for (const segment of path.split('.')) {
+        const isList = segment.endsWith('[]');
+        const key = isList ? segment.slice(0, -2) : segment;
+        const next = [];
+        for (const value of values) {
+            const child = value?.[key];
+            if (isList) {
+                if (Array.isArray(child)) next.push(...child);
+            } else if (child !== undefined) {
+                next.push(child);
+            }
+        }
+        values = next;
+    }
+    return values;
+}
+
+function validatePlatformPayload(platform, json) {
+    const schema = PLATFORM_SCHEMAS[platform];
+    const missing = [];
+    const partial = [];
+    const warnings = [];
+
+    for (const [path, type] of schema.root) {
+        if (!matchesType(collectAtPath(json, path)[0], type)) missing.push(path);
+    }
+    const rootMissing = missing.length > 0;
+
+    if (!rootMissing) {
+        for (const collection of schema.collections) {
+            const items = collectAtPath(json, collection.path);
+            if (items.length === 0) continue; // An empty menu is valid
+
+            for (const [field, type] of collection.fields) {
+                const missingCount = items.filter(item => !matchesType(readSchemaField(item, field), type)).length;
+                const path = `${collection.path}.${[].concat(field).join('|')}`;
+                // Absent everywhere means the field moved; absent in a few items is data noise
+                if (missingCount === items.length) {
+                    missing.push(path);
+                } else if (missingCount > 0) {
+                    partial.push({ path, missingCount, total: items.length });
+                }
+            }
+
+            for (const [field, type] of collection.optionalFields || []) {
+                const values = items.map(item => readSchemaField(item, field)).filter(value => value !== undefined);
+                const wrongCount = values.filter(value => !matchesType(value, type)).length;
+                const path = `${collection.path}.${[].concat(field).join('|')}`;
+                if (values.length === 0) {
+                    warnings.push(path);
+                } else if (wrongCount === values.length) {
+                    missing.push(path);
+                } else if (wrongCount > 0) {
+                    partial.push({ path, missingCount: wrongCount, total: items.length });
+                }
+            }
+        }
+    }
+
+    for (const [path, type] of schema.optional || []) {
+        if (!matchesType(collectAtPath(json, path)[0], type)) warnings.push(path);
+    }
+
+    return { valid: missing.length === 0, rootMissing, missing, partial, warnings };
+}
+
+// Compact type skeleton of a payload; arrays are described by their first element
+function describeShape(value, depth = 0) {
+    if (Array.isArray(value)) {
+        return value.length > 0 && depth < 6 ? [describeShape(value[0], depth + 1)] : [];
+    }
+    if (value !== null && typeof value === 'object') {
+        if (depth >= 6) return 'object';
+        const shape = {};
+        for (const key of Object.keys(value).sort()) {
+            shape[key] = describeShape(value[key], depth + 1);
+        }
+        return shape;
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+function recordPlatformValidation(platform, result, json) {
+    const previous = platformSchemaState[platform] || {};
+    const now = Date.now();
+
+    const missingSince = Object.fromEntries((previous.missing || []).map(entry => [entry.path, entry.since]));
+    const next = {
+        status: result.valid ? 'ok' : 'drift',
+        lastCheckedAt: now,
+        lastOkAt: result.valid ? now : previous.lastOkAt || null,
+        missing: result.missing.map(path => ({ path, since: missingSince[path] || now })),
+        partial: result.partial,
+        warnings: result.warnings,
+        lastGoodShape: previous.lastGoodShape || null,
+        lastGoodAt: previous.lastGoodAt || null,
+        driftShape: null,
+        persistedAt: previous.persistedAt || 0
+    };
+
+    let shapeChanged = false;
+    if (result.valid) {
+        const shape = describeShape(json);
+        shapeChanged = JSON.stringify(shape) !== JSON.stringify(previous.lastGoodShape);
+        next.lastGoodShape = shape;
+        next.lastGoodAt = now;
+    } else {
+        next.driftShape = describeShape(json);
+    }
+
+    if (next.status !== previous.status) {
+        if (next.status === 'drift') {
+            Logger.warn(`Schema: ${platform} API changed, missing: ${result.missing.join(', ')}`);
+        } else if (previous.status) {
+            Logger.info(`Schema: ${platform} API matches the expected structure again`);
+        }
+    }
+
+    // Persist on any change, otherwise refresh the stored timestamps every few minutes
+    const changed = next.status !== previous.status ||
+        next.missing.map(m => m.path).join() !== (previous.missing || []).map(m => m.path).join() ||
+        shapeChanged ||
+        now - next.persistedAt > PERF_CONFIG.SCHEMA_STATUS_PERSIST_INTERVAL;
+
+    platformSchemaState[platform] = next;
+    if (changed) {
+        next.persistedAt = now;
+        platformSchemaReady
+            .then(() => chrome.storage.local.set({ [PLATFORM_SCHEMA_KEY]: platformSchemaState }))
+            .catch(error => Logger.warn("Schema: Failed to persist platform status:", error));
+    }
+}
+
+// Shapes are only included on request; the popup needs just the status
+function getPlatformSchemaStatus(includeShapes = false) {
+    const status = {};
+    for (const platform of Object.keys(PLATFORM_SCHEMAS)) {
+        const entry = platformSchemaState[platform];
+        if (!entry) {
+            status[platform] = { status: 'unknown' };
+            continue;
+        }
+
+        const { lastGoodShape, driftShape, persistedAt, ...summary } = entry;
+        status[platform] = includeShapes ? { ...summary, lastGoodShape, driftShape } : summary;
+    }
+    return status;
+}
+
 // ===== OPTIMIZED EXTERNAL API FETCHING =====
-async function fetchSnappfoodData(vendorCode) {
-    const url = `https://snappfood.ir/mobile/v2/restaurant/details/dynamic?lat=35.715&long=51.404&vendorCode=${vendorCode}&optionalClient=WEBSITE&client=WEBSITE&deviceType=WEBSITE&appVersion=8.1.1`;
+const PLATFORM_ENDPOINT_LABELS = {
+    snappfood: 'snappfood.ir /restaurant/details/dynamic',
+    tapsifood: 'api.tapsi.food /Vendor/:code/vendor'
+};
+
+async function fetchSnappfoodData(vendorCode, location = null) {
+    const { lat, lng } = getPlatformLocation('snappfood', location);
+    const cacheKey = `snappfood-${vendorCode}-${getLocationCacheKey({ lat, lng })}`;
     
+    const cached = platformDataCache.get(cacheKey);
+    if (cached) return cached;
+    
+    const url = `https://snappfood.ir/mobile/v2/restaurant/details/dynamic?lat=${lat}&long=${lng}&vendorCode=${vendorCode}&optionalClient=WEBSITE&client=WEBSITE&deviceType=WEBSITE&appVersion=8.1.1`;
+    
+    const menu = await requestScheduler.run(`GET ${url}`, 'snappfood.ir', () => requestSnappfoodData(url, vendorCode));
+    if (menu) platformDataCache.set(cacheKey, menu);
+    return menu;
+}
+
+async function requestSnappfoodData(url, vendorCode) {
+    const startTime = performance.now();
     try {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), PERF_CONFIG.REQUEST_TIMEOUT);
         
-        const response = await fetch(url, { signal: controller.signal });
+        const response = await networkFetch(url, { signal: controller.signal });
         clearTimeout(timeoutId);
+        const responseTime = performance.now() - startTime;
         
-        if (!response.ok) throw new Error(`SnappFood API Error: ${response.status}`);
+        if (!response.ok) {
+            endpointMetrics.record(PLATFORM_ENDPOINT_LABELS.snappfood, responseTime, `HTTP ${response.status}`);
+            throw new Error(`SnappFood API Error: ${response.status}`);
+        }
         
         const json = await response.json();
         
-        if (!json || !json.data || !Array.isArray(json.data.menus)) {
-            throw new Error("Invalid SnappFood API response: 'data.menus' array not found.");
+        const validation = validatePlatformPayload('snappfood', json);
+        recordPlatformValidation('snappfood', validation, json);
+        
+        if (validation.rootMissing) {
+            throw new Error(`Invalid SnappFood API response: missing ${validation.missing.join(', ')}`);
         }
         
         const products = {};
@@ -383,7 +2657,8 @@ async function fetchSnappfoodData(vendorCode) {
                             price: finalPrice,
                             originalPrice: originalPrice,
                             discount: discount,
-                            discountRatio: p.discountRatio || 0
+                            discountRatio: p.discountRatio || 0,
+                            packagingFee: p.containerPrice || 0
                         };
                         totalProducts++;
                     }
@@ -396,281 +2671,1613 @@ async function fetchSnappfoodData(vendorCode) {
         if (totalProducts === 0) {
             Logger.warn("SnappFood: Response parsed, but no products were extracted. API structure may have changed.");
         }
-        
-        return products;
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            Logger.error(`SnappFood: Request timeout for vendor ${vendorCode}`);
-        } else {
-            Logger.error("Failed to fetch SnappFood data:", error);
+        
+        const fees = extractVendorFees('snappfood', json.data.vendor);
+        
+        // Success is recorded once the payload parsed, so a bad body counts as a failure
+        endpointMetrics.record(PLATFORM_ENDPOINT_LABELS.snappfood, responseTime, null);
+        return { products, fees };
+    } catch (error) {
+        // HTTP errors were recorded with their response time above
+        if (!error.message.startsWith('SnappFood API Error:')) {
+            endpointMetrics.record(PLATFORM_ENDPOINT_LABELS.snappfood, performance.now() - startTime,
+                error.name === 'AbortError' ? 'timeout' : error.message);
+        }
+        
+        if (error.name === 'AbortError') {
+            Logger.error(`SnappFood: Request timeout for vendor ${vendorCode}`);
+        } else {
+            Logger.error("Failed to fetch SnappFood data:", error);
+        }
+        return null;
+    }
+}
+
+async function fetchTapsifoodData(vendorCode, location = null) {
+    const { lat, lng } = getPlatformLocation('tapsifood', location);
+    const cacheKey = `tapsifood-${vendorCode}-${getLocationCacheKey({ lat, lng })}`;
+    
+    const cached = platformDataCache.get(cacheKey);
+    if (cached) return cached;
+    
+    const url = `https://api.tapsi.food/v1/api/Vendor/${vendorCode}/vendor?latitude=${lat}&longitude=${lng}`;
+    
+    const menu = await requestScheduler.run(`GET ${url}`, 'api.tapsi.food', () => requestTapsifoodData(url, vendorCode));
+    if (menu) platformDataCache.set(cacheKey, menu);
+    return menu;
+}
+
+async function requestTapsifoodData(url, vendorCode) {
+    const startTime = performance.now();
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), PERF_CONFIG.REQUEST_TIMEOUT);
+        
+        const response = await networkFetch(url, { signal: controller.signal });
+        clearTimeout(timeoutId);
+        const responseTime = performance.now() - startTime;
+        
+        if (!response.ok) {
+            endpointMetrics.record(PLATFORM_ENDPOINT_LABELS.tapsifood, responseTime, `HTTP ${response.status}`);
+            throw new Error(`TapsiFood API Error: ${response.status}`);
+        }
+        
+        const json = await response.json();
+        
+        const validation = validatePlatformPayload('tapsifood', json);
+        recordPlatformValidation('tapsifood', validation, json);
+        
+        if (validation.rootMissing) {
+            throw new Error(`Invalid TapsiFood API response: missing ${validation.missing.join(', ')}`);
+        }
+        
+        const products = {};
+        let totalProducts = 0;
+        
+        // Process in chunks for better performance
+        for (const category of json.data.categories) {
+            if(category.products && Array.isArray(category.products)) {
+                for (const p of category.products) {
+                    if (p && p.productVariations && p.productVariations.length > 0) {
+                        const variations = p.productVariations.map(variation => {
+                            const originalPrice = variation.price || 0;
+                            const finalPrice = variation.priceAfterDiscount || originalPrice;
+                            
+                            return {
+                                id: variation.productVariationId ?? variation.id ?? null,
+                                name: (variation.productVariationName || variation.name || variation.title || '').trim(),
+                                price: finalPrice,
+                                originalPrice: originalPrice,
+                                discount: originalPrice - finalPrice,
+                                discountRatio: variation.discountRatio || 0,
+                                packagingFee: variation.packagingPrice || variation.containerPrice || 0
+                            };
+                        });
+                        
+                        // The first variation stays the product's headline price
+                        products[p.productId] = {
+                            id: p.productId,
+                            name: p.productName.trim(),
+                            price: variations[0].price,
+                            originalPrice: variations[0].originalPrice,
+                            discountRatio: variations[0].discountRatio,
+                            packagingFee: variations[0].packagingFee,
+                            variations: variations
+                        };
+                        totalProducts++;
+                    }
+                }
+            }
+        }
+        
+        Logger.performance(`TapsiFood: Processed ${totalProducts} products for vendor ${vendorCode}`);
+        
+        const fees = extractVendorFees('tapsifood', json.data.vendor || json.data);
+        
+        // Success is recorded once the payload parsed, so a bad body counts as a failure
+        endpointMetrics.record(PLATFORM_ENDPOINT_LABELS.tapsifood, responseTime, null);
+        return { products, fees };
+    } catch (error) {
+        // HTTP errors were recorded with their response time above
+        if (!error.message.startsWith('TapsiFood API Error:')) {
+            endpointMetrics.record(PLATFORM_ENDPOINT_LABELS.tapsifood, performance.now() - startTime,
+                error.name === 'AbortError' ? 'timeout' : error.message);
+        }
+        
+        if (error.name === 'AbortError') {
+            Logger.error(`TapsiFood: Request timeout for vendor ${vendorCode}`);
+        } else {
+            Logger.error("Failed to fetch TapsiFood data:", error);
+        }
+        return null;
+    }
+}
+
+// ===== PRICE HISTORY =====
+// Each fetchPrices comparison is kept as a snapshot in IndexedDB so the widget
+// can show how an item's price moved. Snapshots for a vendor are written at
+// most once per PRICE_HISTORY_MIN_INTERVAL unless a price changed, and the
+// store is pruned by age and by total size.
+class PriceHistoryStore {
+    constructor(dbName = 'price-history') {
+        this.dbName = dbName;
+        this.dbPromise = null;
+        this.lastPrices = new Map(); // vendorKey -> { timestamp, signature }
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('vendor_time', ['vendorKey', 'timestamp']);
+                    store.createIndex('timestamp', 'timestamp');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a retry on the next call if opening failed
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    static vendorKey(sfCode, tfCode) {
+        return `${sfCode}:${tfCode}`;
+    }
+
+    static toRequestPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async record(vendorInfo, sourcePlatform, comparisonData) {
+        const vendorKey = PriceHistoryStore.vendorKey(vendorInfo.sf_code, vendorInfo.tf_code);
+        const timestamp = Date.now();
+        const snapshots = Object.values(comparisonData).map(result => {
+            const sf = sourcePlatform === 'snappfood' ? result.baseProduct : result.counterpartProduct;
+            const tf = sourcePlatform === 'snappfood' ? result.counterpartProduct : result.baseProduct;
+            return {
+                vendorKey,
+                sfItemId: String(sf.id),
+                tfItemId: String(tf.id),
+                sfPrice: sf.price,
+                tfPrice: tf.price,
+                sfDiscountRatio: sf.discountRatio || 0,
+                tfDiscountRatio: tf.discountRatio || 0,
+                timestamp
+            };
+        });
+        if (snapshots.length === 0) return 0;
+
+        const signature = snapshots.map(s => `${s.sfItemId}:${s.sfPrice}:${s.tfPrice}`).sort().join('|');
+        const last = this.lastPrices.get(vendorKey) || await this.getLastSnapshot(vendorKey);
+        if (last && last.signature === signature &&
+            timestamp - last.timestamp < PERF_CONFIG.PRICE_HISTORY_MIN_INTERVAL) {
+            return 0;
+        }
+
+        const db = await this.open();
+        const tx = db.transaction('snapshots', 'readwrite');
+        const store = tx.objectStore('snapshots');
+        snapshots.forEach(snapshot => store.add(snapshot));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+
+        this.lastPrices.set(vendorKey, { timestamp, signature });
+        Logger.debug(`PriceHistory: Recorded ${snapshots.length} snapshots for ${vendorKey}`);
+        return snapshots.length;
+    }
+
+    // Rebuilds the dedupe signature from storage after a worker restart
+    async getLastSnapshot(vendorKey) {
+        const snapshots = await this.getVendorSnapshots(vendorKey, 0);
+        if (snapshots.length === 0) return null;
+
+        const timestamp = snapshots[snapshots.length - 1].timestamp;
+        const latest = snapshots.filter(s => s.timestamp === timestamp);
+        return {
+            timestamp,
+            signature: latest.map(s => `${s.sfItemId}:${s.sfPrice}:${s.tfPrice}`).sort().join('|')
+        };
+    }
+
+    async getVendorSnapshots(vendorKey, since) {
+        const db = await this.open();
+        const index = db.transaction('snapshots').objectStore('snapshots').index('vendor_time');
+        const range = IDBKeyRange.bound([vendorKey, since], [vendorKey, Infinity]);
+        return PriceHistoryStore.toRequestPromise(index.getAll(range));
+    }
+
+    // Returns { [itemId of sourcePlatform]: { points, min, max } }
+    async getHistory(vendorInfo, sourcePlatform) {
+        const vendorKey = PriceHistoryStore.vendorKey(vendorInfo.sf_code, vendorInfo.tf_code);
+        const since = Date.now() - PERF_CONFIG.PRICE_HISTORY_RETENTION;
+        const snapshots = await this.getVendorSnapshots(vendorKey, since);
+        const idField = sourcePlatform === 'snappfood' ? 'sfItemId' : 'tfItemId';
+
+        const history = {};
+        for (const snapshot of snapshots) {
+            const itemId = snapshot[idField];
+            if (!history[itemId]) {
+                history[itemId] = {
+                    points: [],
+                    min: { sf: Infinity, tf: Infinity },
+                    max: { sf: 0, tf: 0 }
+                };
+            }
+
+            const entry = history[itemId];
+            entry.points.push({ t: snapshot.timestamp, sf: snapshot.sfPrice, tf: snapshot.tfPrice });
+            entry.min.sf = Math.min(entry.min.sf, snapshot.sfPrice);
+            entry.min.tf = Math.min(entry.min.tf, snapshot.tfPrice);
+            entry.max.sf = Math.max(entry.max.sf, snapshot.sfPrice);
+            entry.max.tf = Math.max(entry.max.tf, snapshot.tfPrice);
+        }
+
+        // Min/max cover the whole retention window; the trend line only the recent points
+        for (const entry of Object.values(history)) {
+            entry.points = entry.points.slice(-PERF_CONFIG.PRICE_HISTORY_TREND_POINTS);
+        }
+        return history;
+    }
+
+    async prune() {
+        const db = await this.open();
+        const tx = db.transaction('snapshots', 'readwrite');
+        const store = tx.objectStore('snapshots');
+        const index = store.index('timestamp');
+        let removed = 0;
+
+        const cutoff = Date.now() - PERF_CONFIG.PRICE_HISTORY_RETENTION;
+        const total = await PriceHistoryStore.toRequestPromise(store.count());
+        let excess = total - PERF_CONFIG.PRICE_HISTORY_MAX_ENTRIES;
+
+        // Oldest first: drop everything past retention, then trim down to the size cap
+        await new Promise((resolve, reject) => {
+            const cursorRequest = index.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || (cursor.value.timestamp >= cutoff && excess <= 0)) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                removed++;
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+
+        if (removed > 0) {
+            Logger.performance(`PriceHistory: Pruned ${removed} snapshots`);
+        }
+        return removed;
+    }
+
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction('snapshots', 'readwrite');
+        await PriceHistoryStore.toRequestPromise(tx.objectStore('snapshots').clear());
+        this.lastPrices.clear();
+    }
+}
+
+const priceHistory = new PriceHistoryStore();
+
+// ===== VENDOR MENU LOADING =====
+// Resolves the vendor pair through the mapping data and fetches both live
+// menus for the active location. Shared by per-item and basket comparison.
+// onStage(stage, data), when given, hears about each part as soon as it lands.
+async function loadVendorMenus({ sfVendorCode, tfVendorCode, sourcePlatform }, onStage = null) {
+    let apiResult;
+    if (sourcePlatform === "snappfood" && sfVendorCode) {
+        apiResult = await getVendorData('snappfood', sfVendorCode);
+    } else if (sourcePlatform === "tapsifood" && tfVendorCode) {
+        apiResult = await getVendorData('tapsifood', tfVendorCode);
+    } else {
+        return { success: false, error: "Invalid platform or vendor code." };
+    }
+    
+    if (!apiResult.success) {
+        return { 
+            success: false, 
+            error: apiResult.error,
+            isConnectionError: apiResult.isConnectionError 
+        };
+    }
+    
+    const { vendor_info, item_mappings } = apiResult.data;
+    
+    const location = await resolveActiveLocation();
+    const isStale = Boolean(apiResult.isStale);
+    onStage?.('vendor', { vendorInfo: vendor_info, dataSource: apiResult.source, isStale, location });
+    
+    const announce = (platform) => (menu) => {
+        if (menu) onStage?.(platform, { products: summarizeMenu(menu.products), fees: menu.fees });
+        return menu;
+    };
+    
+    // Fetch product data from both platforms concurrently
+    const [sfMenu, tfMenu, overrides] = await Promise.all([
+        fetchSnappfoodData(vendor_info.sf_code, location).then(announce('snappfood')),
+        fetchTapsifoodData(vendor_info.tf_code, location).then(announce('tapsifood')),
+        getVendorItemOverrides(vendor_info)
+    ]);
+    
+    if (!sfMenu || !tfMenu) {
+        let errorMsg = "Failed to fetch product data from one or both platforms.";
+        if (!sfMenu) errorMsg += " (SnappFood failed)";
+        if (!tfMenu) errorMsg += " (TapsiFood failed)";
+        return { success: false, error: errorMsg };
+    }
+    
+    return {
+        success: true,
+        source: apiResult.source,
+        isStale,
+        vendorInfo: vendor_info,
+        itemMappings: item_mappings,
+        overrides,
+        location,
+        sfProducts: sfMenu.products,
+        tfProducts: tfMenu.products,
+        vendorFees: { snappfood: sfMenu.fees, tapsifood: tfMenu.fees }
+    };
+}
+
+function summarizeMenu(products) {
+    return Object.values(products).map(({ id, name, price }) => ({ id, name, price }));
+}
+
+// ===== CART COMPARISON =====
+function pickBasketVariation(product, variationId) {
+    if (!variationId || !Array.isArray(product.variations)) return product;
+    
+    const variation = product.variations.find(v => String(v.id) === String(variationId));
+    if (!variation) return product;
+    
+    return {
+        ...product,
+        price: variation.price,
+        originalPrice: variation.originalPrice,
+        discount: variation.discount,
+        discountRatio: variation.discountRatio,
+        packagingFee: variation.packagingFee,
+        variation: { id: variation.id, name: variation.name, matchedBy: 'basket' }
+    };
+}
+
+// basketItems: [{ id, name?, price?, quantity, variationId? }] from the source platform's basket
+function compareCart(menus, sourcePlatform, basketItems) {
+    const counterpartPlatform = sourcePlatform === 'snappfood' ? 'tapsifood' : 'snappfood';
+    const baseProducts = sourcePlatform === 'snappfood' ? menus.sfProducts : menus.tfProducts;
+    const counterpartProducts = sourcePlatform === 'snappfood' ? menus.tfProducts : menus.sfProducts;
+    
+    const lines = [];
+    const unmapped = [];
+    const { mappings } = applyItemOverrides(menus.itemMappings, menus.overrides, sourcePlatform);
+    
+    for (const item of basketItems) {
+        const quantity = Math.max(1, parseInt(item.quantity) || 1);
+        const menuProduct = baseProducts[item.id];
+        
+        // Items missing from the live menu keep the basket's own price, if any
+        const baseProduct = menuProduct ?
+            pickBasketVariation(menuProduct, item.variationId) :
+            { id: item.id, name: item.name || String(item.id), price: item.price || 0 };
+        
+        const counterpartId = mappings[parseInt(item.id)];
+        const counterpartMenuProduct = counterpartId ? counterpartProducts[counterpartId] : null;
+        
+        if (!counterpartMenuProduct) {
+            unmapped.push({
+                id: item.id,
+                name: baseProduct.name,
+                quantity,
+                price: baseProduct.price,
+                reason: counterpartId ? 'unavailable' : 'unmapped'
+            });
+            continue;
+        }
+        
+        lines.push({
+            quantity,
+            baseProduct,
+            counterpartProduct: applyVariation(counterpartMenuProduct, baseProduct.name)
+        });
+    }
+    
+    const baseFees = menus.vendorFees[sourcePlatform] || {};
+    const counterpartFees = menus.vendorFees[counterpartPlatform] || {};
+    
+    const mappedBaseItems = lines.map(line => ({ ...line.baseProduct, quantity: line.quantity }));
+    const counterpartItems = lines.map(line => ({ ...line.counterpartProduct, quantity: line.quantity }));
+    const unmappedItems = unmapped.map(item => ({ price: item.price, quantity: item.quantity }));
+    
+    // Same items on both sides, for a like-for-like difference; when a side's
+    // fees are unknown only the item prices compare
+    const baseFeesKnown = hasKnownFees(baseFees);
+    const counterpartFeesKnown = hasKnownFees(counterpartFees);
+    const comparableBase = computeOrderCost(mappedBaseItems, baseFees);
+    const comparableCounterpart = computeOrderCost(counterpartItems, counterpartFees);
+    const subtotalOnly = (cost) => ({ ...cost, total: cost.subtotal });
+    
+    return {
+        lines,
+        unmapped,
+        totals: {
+            // Whole basket as it stands on the source platform
+            base: { ...computeOrderCost([...mappedBaseItems, ...unmappedItems], baseFees), feesKnown: baseFeesKnown },
+            counterpart: { ...computeOrderCost(counterpartItems, counterpartFees), feesKnown: counterpartFeesKnown },
+            comparable: baseFeesKnown && counterpartFeesKnown ?
+                { ...compareOrderCosts(comparableBase, comparableCounterpart), subtotalOnly: false } :
+                { ...compareOrderCosts(subtotalOnly(comparableBase), subtotalOnly(comparableCounterpart)), subtotalOnly: true }
+        },
+        fees: menus.vendorFees
+    };
+}
+
+// ===== PLATFORM-EXCLUSIVE ITEMS =====
+// What a vendor pair sells on only one side. "Paired" follows the comparison
+// itself (mappings, manual links and name matches). The vendor's full
+// `/items/sf/{code}` list adds mapped items that a live menu no longer carries;
+// those are reported once, in their own group, not as one-platform items.
+async function getVendorItemMappings(sfCode) {
+    const code = String(sfCode);
+    
+    if (await useOfflineMappings()) {
+        return offlineMappings.getItemMappings(code);
+    }
+    
+    await vendorItemsCache.ready;
+    const cached = vendorItemsCache.get(code);
+    if (cached) {
+        return { success: true, data: cached, source: 'api' };
+    }
+    
+    const result = await fetchFromAPI(`/items/sf/${encodeURIComponent(code)}`);
+    if (result.success) {
+        vendorItemsCache.set(code, result.data);
+    }
+    return withOfflineFallback(result, () => offlineMappings.getItemMappings(code));
+}
+
+function normalizeItemMappingRows(data) {
+    return (Array.isArray(data?.mappings) ? data.mappings : [])
+        .map(row => ({
+            sfItemId: parseInt(row.sf_item_id ?? row.sf_id, 10),
+            tfItemId: parseInt(row.tf_item_id ?? row.tf_id, 10),
+            sfName: row.sf_item_name || null,
+            tfName: row.tf_item_name || null
+        }))
+        .filter(row => !isNaN(row.sfItemId) && !isNaN(row.tfItemId));
+}
+
+function findPlatformExclusiveItems(menus, sourcePlatform, mappingRows) {
+    const { sfProducts, tfProducts } = menus;
+    const comparisonData = processAndCompare(sfProducts, tfProducts, sourcePlatform, menus.itemMappings, menus.vendorFees, menus.overrides);
+    
+    const pairedSf = new Set();
+    const pairedTf = new Set();
+    for (const result of Object.values(comparisonData)) {
+        const sf = sourcePlatform === 'snappfood' ? result.baseProduct : result.counterpartProduct;
+        const tf = sourcePlatform === 'snappfood' ? result.counterpartProduct : result.baseProduct;
+        pairedSf.add(String(sf.id));
+        pairedTf.add(String(tf.id));
+    }
+    
+    const missingFromMenu = mappingRows
+        .filter(row => !sfProducts[row.sfItemId] || !tfProducts[row.tfItemId])
+        .map(row => {
+            const sfProduct = sfProducts[row.sfItemId];
+            const tfProduct = tfProducts[row.tfItemId];
+            return {
+                sfItemId: row.sfItemId,
+                tfItemId: row.tfItemId,
+                name: sfProduct?.name || tfProduct?.name || row.sfName || row.tfName || null,
+                price: (sfProduct || tfProduct)?.price ?? null,
+                missingOn: [!sfProduct && 'snappfood', !tfProduct && 'tapsifood'].filter(Boolean)
+            };
+        });
+    
+    const reportedSf = new Set(missingFromMenu.map(item => String(item.sfItemId)));
+    const reportedTf = new Set(missingFromMenu.map(item => String(item.tfItemId)));
+    const onlyOn = (products, paired, reported) => Object.values(products)
+        .filter(product => !paired.has(String(product.id)) && !reported.has(String(product.id)))
+        .map(({ id, name, price }) => ({ id, name, price }))
+        .sort((a, b) => a.name.localeCompare(b.name, 'fa'));
+    
+    return {
+        snappfoodOnly: onlyOn(sfProducts, pairedSf, reportedSf),
+        tapsifoodOnly: onlyOn(tfProducts, pairedTf, reportedTf),
+        missingFromMenu,
+        pairedCount: Object.keys(comparisonData).length
+    };
+}
+
+// ===== COMPARISON EXPORT =====
+// The downloads API isn't available to content scripts, so the widget sends
+// its current rows here. Service workers have no object URLs; a data URL works
+// for the few hundred rows a menu produces.
+const COMPARISON_EXPORT_COLUMNS = [
+    'source_platform', 'sf_code', 'tf_code', 'sf_item_id', 'tf_item_id', 'sf_item_name', 'tf_item_name',
+    'sf_price', 'tf_price', 'sf_original_price', 'tf_original_price', 'sf_discount', 'tf_discount',
+    'price_diff', 'percent_diff', 'match_type', 'variation'
+];
+
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildComparisonExport(format, rows, vendorInfo) {
+    if (format === 'json') {
+        return {
+            mimeType: 'application/json',
+            content: JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                vendor: vendorInfo,
+                count: rows.length,
+                rows
+            }, null, 2)
+        };
+    }
+
+    const lines = [
+        COMPARISON_EXPORT_COLUMNS.join(','),
+        ...rows.map(row => COMPARISON_EXPORT_COLUMNS.map(column => toCsvField(row[column])).join(','))
+    ];
+    // BOM so spreadsheet apps read the Persian names as UTF-8
+    return { mimeType: 'text/csv', content: '\uFEFF' + lines.join('\r\n') };
+}
+
+async function exportComparison({ format, rows, vendorInfo }) {
+    if (format !== 'csv' && format !== 'json') {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error("Nothing to export.");
+    }
+
+    const { mimeType, content } = buildComparisonExport(format, rows, vendorInfo || {});
+    const vendorPart = vendorInfo?.sf_code ? `-${vendorInfo.sf_code}` : '';
+    const timestamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+
+    return chrome.downloads.download({
+        url: `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+        filename: `price-comparison${vendorPart}-${timestamp}.${format}`,
+        saveAs: false
+    });
+}
+
+// ===== FAVORITE PRICE ALERTS =====
+// Favorited items are watched by a periodic alarm that re-fetches both menus.
+// An alert fires when an item gets cheaper on either platform, or when the
+// cross-platform gap first reaches the user's threshold.
+const WATCHED_FAVORITES_KEY = 'watchedFavorites';
+const FAVORITES_ALARM = 'favorites-watch';
+const PRICE_ALERT_PREFIX = 'price-alert|';
+
+const VENDOR_PAGE_URLS = {
+    snappfood: (code) => `https://snappfood.ir/restaurant/menu/${code}`,
+    tapsifood: (code) => `https://tapsi.food/vendor/${code}`
+};
+
+function getFavoriteKey(favorite) {
+    const vendorCode = favorite.sourcePlatform === 'snappfood' ? favorite.sfVendorCode : favorite.tfVendorCode;
+    return `${favorite.sourcePlatform}:${vendorCode}:${favorite.itemId}`;
+}
+
+async function loadWatchedFavorites() {
+    const stored = await chrome.storage.local.get(WATCHED_FAVORITES_KEY);
+    return stored[WATCHED_FAVORITES_KEY] || {};
+}
+
+async function setFavoriteWatched(favorite, watched) {
+    if (!favorite?.sourcePlatform || !favorite.itemId || !favorite.sfVendorCode || !favorite.tfVendorCode) {
+        throw new Error("Favorite is missing vendor or item information.");
+    }
+
+    const favorites = await loadWatchedFavorites();
+    const key = getFavoriteKey(favorite);
+
+    if (watched) {
+        favorites[key] = {
+            name: String(favorite.name || ''),
+            sourcePlatform: favorite.sourcePlatform,
+            sfVendorCode: favorite.sfVendorCode,
+            tfVendorCode: favorite.tfVendorCode,
+            itemId: String(favorite.itemId),
+            // Keep the last seen prices when re-favoriting so drops are still noticed
+            lastPrices: favorites[key]?.lastPrices || favorite.prices || null,
+            addedAt: favorites[key]?.addedAt || Date.now()
+        };
+    } else {
+        delete favorites[key];
+    }
+
+    await chrome.storage.local.set({ [WATCHED_FAVORITES_KEY]: favorites });
+    await ensureFavoritesAlarm(Object.keys(favorites).length > 0);
+    return Object.keys(favorites).length;
+}
+
+async function ensureFavoritesAlarm(hasFavorites) {
+    await settingsReady;
+    const enabled = hasFavorites && settings.priceAlerts;
+    const existing = await chrome.alarms.get(FAVORITES_ALARM);
+
+    if (enabled && !existing) {
+        chrome.alarms.create(FAVORITES_ALARM, {
+            delayInMinutes: 1,
+            periodInMinutes: PERF_CONFIG.FAVORITES_CHECK_INTERVAL_MINUTES
+        });
+    } else if (!enabled && existing) {
+        await chrome.alarms.clear(FAVORITES_ALARM);
+    }
+}
+
+async function checkFavoritePrices() {
+    await settingsReady;
+    const favorites = await loadWatchedFavorites();
+    const entries = Object.entries(favorites);
+    if (entries.length === 0 || !settings.priceAlerts) return 0;
+
+    // One menu fetch per vendor pair, however many of its items are watched
+    const byVendor = new Map();
+    for (const [key, favorite] of entries) {
+        const vendorKey = `${favorite.sourcePlatform}:${favorite.sfVendorCode}:${favorite.tfVendorCode}`;
+        if (!byVendor.has(vendorKey)) byVendor.set(vendorKey, []);
+        byVendor.get(vendorKey).push([key, favorite]);
+    }
+
+    let alerts = 0;
+    const checkedPrices = new Map();
+    for (const group of byVendor.values()) {
+        const { sourcePlatform, sfVendorCode, tfVendorCode } = group[0][1];
+        const menus = await loadVendorMenus({ sourcePlatform, sfVendorCode, tfVendorCode });
+        if (!menus.success) {
+            Logger.warn(`PriceAlerts: Skipping ${sourcePlatform} vendor: ${menus.error}`);
+            continue;
+        }
+
+        const comparison = processAndCompare(menus.sfProducts, menus.tfProducts, sourcePlatform, menus.itemMappings, menus.vendorFees, menus.overrides);
+
+        for (const [key, favorite] of group) {
+            const result = comparison[favorite.itemId];
+            if (!result) continue;
+
+            const prices = { base: result.baseProduct.price, counterpart: result.counterpartProduct.price };
+            const alert = evaluatePriceAlert(favorite, result, prices);
+            if (alert) {
+                notifyPriceAlert(favorite, menus.vendorInfo, alert);
+                alerts++;
+            }
+            checkedPrices.set(key, prices);
+        }
+    }
+
+    // The menu fetches take a while; favorites (un)watched meanwhile must survive the write
+    const current = await loadWatchedFavorites();
+    for (const [key, prices] of checkedPrices) {
+        if (current[key]) current[key].lastPrices = prices;
+    }
+    await chrome.storage.local.set({ [WATCHED_FAVORITES_KEY]: current });
+    Logger.performance(`PriceAlerts: Checked ${entries.length} favorites, ${alerts} alerts`);
+    return alerts;
+}
+
+function evaluatePriceAlert(favorite, result, prices) {
+    const last = favorite.lastPrices;
+    const threshold = settings.alertThreshold;
+    const counterpartPlatform = favorite.sourcePlatform === 'snappfood' ? 'tapsifood' : 'snappfood';
+    const cheaperPlatform = prices.counterpart < prices.base ? counterpartPlatform : favorite.sourcePlatform;
+
+    if (last) {
+        const dropped = [['base', favorite.sourcePlatform], ['counterpart', counterpartPlatform]]
+            .find(([side]) => prices[side] < last[side]);
+        if (dropped) {
+            const [side, platform] = dropped;
+            // The message names the platform that dropped; the click still goes to the cheaper one
+            return { type: 'drop', platform, targetPlatform: cheaperPlatform, oldPrice: last[side], newPrice: prices[side] };
+        }
+    }
+
+    // Only alert when the gap crosses the threshold, not on every check while it stays open
+    const lastGap = last && last.base > 0 ? Math.round(Math.abs(last.base - last.counterpart) / last.base * 100) : 0;
+    if (result.percentDiff >= threshold && lastGap < threshold) {
+        return { type: 'gap', platform: cheaperPlatform, targetPlatform: cheaperPlatform, percentDiff: result.percentDiff, priceDiff: Math.abs(result.priceDiff) };
+    }
+
+    return null;
+}
+
+const PLATFORM_NAMES = { snappfood: 'اسنپ‌فود', tapsifood: 'تپسی‌فود' };
+
+function notifyPriceAlert(favorite, vendorInfo, alert) {
+    const vendorCode = alert.targetPlatform === 'snappfood' ? vendorInfo.sf_code : vendorInfo.tf_code;
+    const url = VENDOR_PAGE_URLS[alert.targetPlatform](vendorCode);
+    const format = (price) => new Intl.NumberFormat('fa-IR').format(price);
+
+    const message = alert.type === 'drop' ?
+        `قیمت در ${PLATFORM_NAMES[alert.platform]} از ${format(alert.oldPrice)} به ${format(alert.newPrice)} تومان رسید` :
+        `${alert.percentDiff}% (${format(alert.priceDiff)} تومان) ارزان‌تر در ${PLATFORM_NAMES[alert.platform]}`;
+
+    // The target page travels in the notification id so clicks work after a worker restart
+    chrome.notifications.create(`${PRICE_ALERT_PREFIX}${Date.now()}|${url}`, {
+        type: 'basic',
+        iconUrl: 'assets/icon128.png',
+        title: `🔔 ${favorite.name}`,
+        message,
+        priority: 1
+    });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== FAVORITES_ALARM) return;
+    checkFavoritePrices().catch(error => Logger.error("PriceAlerts: Check failed:", error));
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(PRICE_ALERT_PREFIX)) return;
+
+    const url = notificationId.slice(PRICE_ALERT_PREFIX.length).split('|').slice(1).join('|');
+    chrome.tabs.create({ url });
+    chrome.notifications.clear(notificationId);
+});
+
+// ===== ACTION BADGE =====
+// The global badge reflects backend health; menu tabs override it with their
+// best savings. Tab badges are cleared with text: null, which falls back to
+// the global one.
+const HEALTH_ALARM = 'backend-health';
+const BACKEND_HEALTH_KEY = 'backendHealth';
+const BADGE_COLORS = {
+    error: '#dc3545',
+    savings: '#28a745'
+};
+
+let backendHealth = { status: 'unknown', failures: 0, lastCheckedAt: null, lastError: null };
+
+// Failure counts survive worker restarts so the backoff keeps growing
+const backendHealthReady = chrome.storage.local.get(BACKEND_HEALTH_KEY)
+    .then(stored => {
+        if (stored[BACKEND_HEALTH_KEY]) backendHealth = stored[BACKEND_HEALTH_KEY];
+    })
+    .catch(error => Logger.warn("Health: Failed to load stored state:", error));
+
+function getHealthCheckDelay(health) {
+    return health.status === 'down' ?
+        Math.min(PERF_CONFIG.HEALTH_BACKOFF_BASE_MINUTES * 2 ** (health.failures - 1), PERF_CONFIG.HEALTH_BACKOFF_MAX_MINUTES) :
+        PERF_CONFIG.HEALTH_CHECK_INTERVAL_MINUTES;
+}
+
+// Worker wakes reuse the stored result until its delay has passed, so a
+// restarting worker neither skips the backoff nor pushes the alarm back
+async function ensureBackendHealth() {
+    await backendHealthReady;
+    if (!backendHealth.lastCheckedAt) return checkBackendHealth();
+
+    const dueAt = backendHealth.lastCheckedAt + getHealthCheckDelay(backendHealth) * 60000;
+    if (Date.now() >= dueAt) return checkBackendHealth();
+
+    if (!(await chrome.alarms.get(HEALTH_ALARM))) {
+        chrome.alarms.create(HEALTH_ALARM, { when: dueAt });
+    }
+    renderHealthBadge();
+    return backendHealth;
+}
+
+async function checkBackendHealth({ resetBackoff = false } = {}) {
+    await backendHealthReady;
+
+    let status = 'offline'; // Offline mappings don't need the backend
+    let lastError = null;
+    if (!(await useOfflineMappings())) {
+        const result = await fetchFromAPI('/health');
+        status = result.success ? 'ok' : 'down';
+        lastError = result.success ? null : result.error;
+    }
+
+    const previousFailures = resetBackoff ? 0 : backendHealth.failures;
+    backendHealth = {
+        status,
+        failures: status === 'down' ? previousFailures + 1 : 0,
+        lastCheckedAt: Date.now(),
+        lastError
+    };
+    renderHealthBadge();
+
+    const delayInMinutes = getHealthCheckDelay(backendHealth);
+    chrome.alarms.create(HEALTH_ALARM, { delayInMinutes }); // Replaces any pending check
+    Logger.debug(`Health: Backend ${status}, next check in ${delayInMinutes} min`);
+
+    await chrome.storage.local.set({ [BACKEND_HEALTH_KEY]: backendHealth });
+    return backendHealth;
+}
+
+function renderHealthBadge() {
+    const isDown = backendHealth.status === 'down';
+    const defaultTitle = chrome.runtime.getManifest().action.default_title;
+
+    chrome.action.setBadgeText({ text: isDown ? '!' : '' });
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.error });
+    chrome.action.setTitle({ title: isDown ? `${defaultTitle} - سرور در دسترس نیست` : defaultTitle });
+}
+
+// Only confident pairs count; an estimated match shouldn't headline the badge
+function updateTabSavingsBadge(tabId, comparisonData) {
+    if (tabId === undefined) return;
+
+    const best = Object.values(comparisonData)
+        .filter(comparison => !comparison.isEstimated && comparison.priceDiff > 0)
+        .reduce((max, comparison) => Math.max(max, comparison.percentDiff), 0);
+
+    // Closed tabs reject; nothing to update then
+    if (best > 0) {
+        chrome.action.setBadgeText({ tabId, text: `${best}%` }).catch(() => {});
+        chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS.savings }).catch(() => {});
+    } else {
+        chrome.action.setBadgeText({ tabId, text: null }).catch(() => {});
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== HEALTH_ALARM) return;
+    checkBackendHealth().catch(error => Logger.error("Health: Check failed:", error));
+});
+
+// Menu sites navigate client-side, so drop a tab's savings on any URL change;
+// the next page's comparison sets it again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url) {
+        chrome.action.setBadgeText({ tabId, text: null }).catch(() => {});
+    }
+});
+
+// ===== MESSAGE ROUTER =====
+// Each action registers a handler with a request schema, checked before the handler
+// runs, and a response schema, checked in debug builds to catch drift between a
+// handler and its callers. Handlers return the response or throw; the router owns
+// sendResponse, error codes and the protocol version (see shared/message-client.js).
+class MessageError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'MessageError';
+        this.code = code;
+    }
+}
+
+const messageHandlers = new Map();
+
+// Schema fields: { type: 'string' | ['string', 'number'] | 'array' | ..., required, values }.
+// Handlers may also define stream(request, emit, context) for the stream port.
+const PLATFORM_FIELD = { type: 'string', values: ['snappfood', 'tapsifood'], required: true };
+const VENDOR_CODE_FIELD = { type: ['string', 'number'] };
+
+function registerMessageHandler(action, { request = {}, response = {}, handle, stream = null }) {
+    messageHandlers.set(action, { request, response, handle, stream });
+}
+
+function checkMessageFields(schema, message) {
+    const problems = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = message[field];
+        if (value === undefined || value === null) {
+            if (rule.required) problems.push(`${field} is required`);
+            continue;
+        }
+
+        const types = [].concat(rule.type);
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (!types.includes(actual)) {
+            problems.push(`${field} must be ${types.join(' or ')}, got ${actual}`);
+        } else if (rule.values && !rule.values.includes(value)) {
+            problems.push(`${field} must be one of ${rule.values.join(', ')}`);
+        }
+    }
+
+    return problems;
+}
+
+function messageFailure(code, error, extra = {}) {
+    return { success: false, code, error, ...extra, protocolVersion: MESSAGE_PROTOCOL_VERSION };
+}
+
+// Shared by one-shot messages and stream ports: returns { handler } or { failure }
+function resolveMessageHandler(request) {
+    if (!request || typeof request !== 'object' || typeof request.action !== 'string') {
+        return { failure: messageFailure(MESSAGE_ERRORS.INVALID_MESSAGE, "Message must be an object with an action.") };
+    }
+
+    // Messages without a version come from the devtools console; accept them as current
+    if (request.protocolVersion !== undefined && request.protocolVersion !== MESSAGE_PROTOCOL_VERSION) {
+        return { failure: messageFailure(MESSAGE_ERRORS.UNSUPPORTED_VERSION,
+            `Protocol version ${request.protocolVersion} is not supported (expected ${MESSAGE_PROTOCOL_VERSION}).`) };
+    }
+
+    const handler = messageHandlers.get(request.action);
+    if (!handler) {
+        Logger.warn(`Unknown action received: ${request.action}`);
+        return { failure: messageFailure(MESSAGE_ERRORS.UNKNOWN_ACTION, `Unknown action: ${request.action}`) };
+    }
+
+    const problems = checkMessageFields(handler.request, request);
+    if (problems.length > 0) {
+        Logger.warn(`Invalid ${request.action} request:`, problems);
+        return { failure: messageFailure(MESSAGE_ERRORS.INVALID_REQUEST, "Invalid request format.", { problems }) };
+    }
+
+    return { handler };
+}
+
+function normalizeMessageFailure(response) {
+    const code = response.code ||
+        (response.isConnectionError ? MESSAGE_ERRORS.CONNECTION_ERROR : MESSAGE_ERRORS.HANDLER_ERROR);
+    return { ...response, code, protocolVersion: MESSAGE_PROTOCOL_VERSION };
+}
+
+function messageErrorResponse(action, error) {
+    if (error instanceof MessageError) {
+        return messageFailure(error.code, error.message);
+    }
+    Logger.error(`Unexpected error in ${action}:`, error);
+    return messageFailure(MESSAGE_ERRORS.HANDLER_ERROR, `Unexpected error: ${error.message}`);
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const { handler, failure } = resolveMessageHandler(request);
+    if (failure) {
+        sendResponse(failure);
+        return false;
+    }
+
+    Logger.debug(`Message received: ${request.action}`);
+    const startTime = performance.now();
+
+    Promise.resolve()
+        .then(() => handler.handle(request, { sender, startTime }))
+        .then(response => {
+            if (response.success === false) {
+                sendResponse(normalizeMessageFailure(response));
+                return;
+            }
+
+            if (PERF_CONFIG.DEBUG_LOGGING) {
+                const drift = checkMessageFields(handler.response, response);
+                if (drift.length > 0) Logger.warn(`Response for ${request.action} does not match its schema:`, drift);
+            }
+            sendResponse({ ...response, protocolVersion: MESSAGE_PROTOCOL_VERSION });
+        })
+        .catch(error => sendResponse(messageErrorResponse(request.action, error)));
+    return true; // Indicates that the response is sent asynchronously
+});
+
+// Streamed requests: the caller opens a port, posts one request and gets
+// { stage, ... } messages back. Handlers with a stream() emit the intermediate
+// stages and return the final one, which goes out with done: true before the
+// port closes. Failures at any point end the stream with stage 'error'.
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== MESSAGE_STREAM_PORT) return;
+
+    let open = true;
+    port.onDisconnect.addListener(() => {
+        open = false;
+    });
+
+    const post = (message) => {
+        if (open) port.postMessage({ ...message, protocolVersion: MESSAGE_PROTOCOL_VERSION });
+    };
+    const finish = (message) => {
+        post({ ...message, done: true });
+        if (open) port.disconnect();
+    };
+
+    port.onMessage.addListener(function onRequest(request) {
+        port.onMessage.removeListener(onRequest);
+
+        const { handler, failure } = resolveMessageHandler(request);
+        if (failure || !handler.stream) {
+            finish({ stage: 'error', ...(failure ||
+                messageFailure(MESSAGE_ERRORS.UNKNOWN_ACTION, `${request.action} cannot be streamed.`)) });
+            return;
+        }
+
+        Logger.debug(`Stream opened: ${request.action}`);
+        const emit = (stage, data) => post({ stage, success: true, ...data });
+
+        Promise.resolve()
+            .then(() => handler.stream(request, emit, { sender: port.sender, startTime: performance.now() }))
+            .then(final => finish(final.success === false ?
+                { ...normalizeMessageFailure(final), stage: 'error' } :
+                { success: true, ...final }))
+            .catch(error => finish({ stage: 'error', ...messageErrorResponse(request.action, error) }));
+    });
+});
+
+// ===== MESSAGE HANDLERS =====
+// Price fetching requests from menu pages
+async function preparePriceRequest({ sfVendorCode, tfVendorCode, sourcePlatform, detectedLocation: pageLocation }) {
+    if (!sfVendorCode && !tfVendorCode) {
+        throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, "sfVendorCode or tfVendorCode is required.");
+    }
+
+    if (pageLocation) {
+        await rememberDetectedLocation(pageLocation, sourcePlatform);
+    }
+}
+
+function buildPriceComparison(menus, sourcePlatform, startTime) {
+    const { sfProducts, tfProducts, vendorFees } = menus;
+    const comparisonData = processAndCompare(sfProducts, tfProducts, sourcePlatform, menus.itemMappings, vendorFees, menus.overrides);
+
+    // History is best effort and must not delay the comparison
+    priceHistory.record(menus.vendorInfo, sourcePlatform, comparisonData)
+        .catch(error => Logger.warn("PriceHistory: Failed to record snapshots:", error));
+
+    const processingTime = performance.now() - startTime;
+    Logger.performance(`Price fetching completed in ${processingTime.toFixed(2)}ms`);
+
+    return {
+        success: true,
+        data: comparisonData,
+        vendorInfo: menus.vendorInfo,
+        dataSource: menus.source,
+        // Mapping data was past its TTL; a refresh is running and tabs get vendorDataUpdated if it changes
+        isStale: menus.isStale,
+        location: menus.location,
+        vendorFees: vendorFees,
+        itemOverrides: menus.overrides,
+        // Lightweight menus so the page can offer manual links for unpaired items
+        menus: {
+            base: summarizeMenu(sourcePlatform === 'snappfood' ? sfProducts : tfProducts),
+            counterpart: summarizeMenu(sourcePlatform === 'snappfood' ? tfProducts : sfProducts)
+        },
+        performanceMetrics: {
+            processingTime: processingTime.toFixed(2),
+            sfProductCount: Object.keys(sfProducts).length,
+            tfProductCount: Object.keys(tfProducts).length,
+            comparisonCount: Object.keys(comparisonData).length
+        }
+    };
+}
+
+registerMessageHandler("fetchPrices", {
+    request: {
+        sourcePlatform: PLATFORM_FIELD,
+        sfVendorCode: VENDOR_CODE_FIELD,
+        tfVendorCode: VENDOR_CODE_FIELD,
+        detectedLocation: { type: 'object' }
+    },
+    response: {
+        data: { type: 'object', required: true },
+        vendorInfo: { type: 'object', required: true },
+        menus: { type: 'object', required: true }
+    },
+    async handle(request, { sender, startTime }) {
+        await preparePriceRequest(request);
+
+        const menus = await loadVendorMenus(request);
+        if (!menus.success) return menus;
+
+        const result = buildPriceComparison(menus, request.sourcePlatform, startTime);
+        updateTabSavingsBadge(sender?.tab?.id, result.data);
+        return result;
+    },
+    // Stages: vendor, snappfood and tapsifood (in arrival order), then comparisons
+    async stream(request, emit, { sender, startTime }) {
+        await preparePriceRequest(request);
+
+        const menus = await loadVendorMenus(request, emit);
+        if (!menus.success) return menus;
+
+        const result = buildPriceComparison(menus, request.sourcePlatform, startTime);
+        updateTabSavingsBadge(sender?.tab?.id, result.data);
+        return { stage: 'comparisons', ...result };
+    }
+});
+
+// Price history requests from the widget
+registerMessageHandler("getPriceHistory", {
+    request: {
+        vendorInfo: { type: 'object', required: true },
+        sourcePlatform: PLATFORM_FIELD
+    },
+    response: { data: { type: 'object', required: true } },
+    async handle({ vendorInfo, sourcePlatform }) {
+        if (!vendorInfo.sf_code || !vendorInfo.tf_code) {
+            throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, "vendorInfo needs sf_code and tf_code.");
         }
-        return null;
+        return { success: true, data: await priceHistory.getHistory(vendorInfo, sourcePlatform) };
     }
-}
+});
 
-async function fetchTapsifoodData(vendorCode) {
-    const url = `https://api.tapsi.food/v1/api/Vendor/${vendorCode}/vendor?latitude=35.7559&longitude=51.4132`;
-    
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), PERF_CONFIG.REQUEST_TIMEOUT);
-        
-        const response = await fetch(url, { signal: controller.signal });
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) throw new Error(`TapsiFood API Error: ${response.status}`);
-        
-        const json = await response.json();
-        
-        if (!json || !json.data || !Array.isArray(json.data.categories)) {
-             throw new Error("Invalid or unexpected TapsiFood API response structure.");
+// Favorite watch requests from the widget
+registerMessageHandler("watchFavorite", {
+    request: {
+        favorite: { type: 'object', required: true },
+        watched: { type: 'boolean', required: true }
+    },
+    response: { watchedCount: { type: 'number', required: true } },
+    async handle({ favorite, watched }) {
+        return { success: true, watchedCount: await setFavoriteWatched(favorite, watched) };
+    }
+});
+
+// Platform API drift diagnostics
+registerMessageHandler("getPlatformStatus", {
+    request: { includeShapes: { type: 'boolean' } },
+    response: { data: { type: 'object', required: true } },
+    async handle({ includeShapes }) {
+        await platformSchemaReady;
+        return { success: true, data: getPlatformSchemaStatus(Boolean(includeShapes)) };
+    }
+});
+
+// Manual item link requests from the widget and product cards
+registerMessageHandler("setItemOverride", {
+    request: {
+        type: { type: 'string', values: ['link', 'unlink', 'clear'], required: true },
+        vendorInfo: { type: 'object', required: true },
+        sourcePlatform: PLATFORM_FIELD,
+        baseItem: { type: 'object', required: true },
+        counterpartItem: { type: 'object' }
+    },
+    response: { overrides: { type: 'object', required: true } },
+    async handle(request) {
+        return { success: true, overrides: await setItemOverride(request) };
+    }
+});
+
+registerMessageHandler("exportItemOverrides", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        return { success: true, data: await exportItemOverrides() };
+    }
+});
+
+registerMessageHandler("clearItemOverrides", {
+    async handle() {
+        await chrome.storage.local.remove(ITEM_OVERRIDES_KEY);
+        return { success: true };
+    }
+});
+
+// Comparison export requests from the widget footer
+registerMessageHandler("exportComparison", {
+    request: {
+        format: { type: 'string', values: ['csv', 'json'], required: true },
+        rows: { type: 'array', required: true },
+        vendorInfo: { type: 'object' }
+    },
+    response: { downloadId: { type: 'number', required: true } },
+    async handle(request) {
+        return { success: true, downloadId: await exportComparison(request) };
+    }
+});
+
+// Items on one platform only, for the widget's exclusive-items tab
+registerMessageHandler("getPlatformExclusiveItems", {
+    request: {
+        sourcePlatform: PLATFORM_FIELD,
+        sfVendorCode: VENDOR_CODE_FIELD,
+        tfVendorCode: VENDOR_CODE_FIELD
+    },
+    response: { data: { type: 'object', required: true } },
+    async handle(request, { startTime }) {
+        const menus = await loadVendorMenus(request);
+        if (!menus.success) return menus;
+
+        // Without the full mapping list the one-platform groups are still useful
+        const mappingsResult = await getVendorItemMappings(menus.vendorInfo.sf_code);
+        if (!mappingsResult.success) {
+            Logger.warn("Exclusive items: Item mappings unavailable:", mappingsResult.error);
         }
-        
-        const products = {};
-        let totalProducts = 0;
-        
-        // Process in chunks for better performance
-        for (const category of json.data.categories) {
-            if(category.products && Array.isArray(category.products)) {
-                for (const p of category.products) {
-                    if (p && p.productVariations && p.productVariations.length > 0) {
-                        const variation = p.productVariations[0];
-                        const originalPrice = variation.price || 0;
-                        const finalPrice = variation.priceAfterDiscount || originalPrice;
-                        const discountRatio = variation.discountRatio || 0;
-                        
-                        products[p.productId] = {
-                            id: p.productId,
-                            name: p.productName.trim(),
-                            price: finalPrice,
-                            originalPrice: originalPrice,
-                            discountRatio: discountRatio
-                        };
-                        totalProducts++;
-                    }
-                }
-            }
+
+        const report = findPlatformExclusiveItems(
+            menus,
+            request.sourcePlatform,
+            mappingsResult.success ? normalizeItemMappingRows(mappingsResult.data) : []
+        );
+
+        const processingTime = performance.now() - startTime;
+        Logger.performance(`Exclusive items report completed in ${processingTime.toFixed(2)}ms`);
+
+        return {
+            success: true,
+            data: { ...report, mappingsError: mappingsResult.success ? null : mappingsResult.error },
+            vendorInfo: menus.vendorInfo,
+            dataSource: menus.source
+        };
+    }
+});
+
+// Basket comparison requests from the widget's cart panel
+registerMessageHandler("compareCart", {
+    request: {
+        sourcePlatform: PLATFORM_FIELD,
+        sfVendorCode: VENDOR_CODE_FIELD,
+        tfVendorCode: VENDOR_CODE_FIELD,
+        items: { type: 'array', required: true }
+    },
+    response: { data: { type: 'object', required: true } },
+    async handle(request, { startTime }) {
+        const { sourcePlatform, items } = request;
+
+        if (items.length === 0) {
+            throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, "Basket is empty.");
         }
+
+        const menus = await loadVendorMenus(request);
+        if (!menus.success) return menus;
+
+        const cart = compareCart(menus, sourcePlatform, items);
+
+        const processingTime = performance.now() - startTime;
+        Logger.performance(`Cart comparison (${items.length} items) completed in ${processingTime.toFixed(2)}ms`);
+
+        return { success: true, data: cart, vendorInfo: menus.vendorInfo, dataSource: menus.source };
+    }
+});
+
+// Single-vendor support check for the popup
+registerMessageHandler("lookupVendor", {
+    request: {
+        platform: PLATFORM_FIELD,
+        vendorCode: { ...VENDOR_CODE_FIELD, required: true }
+    },
+    response: { data: { type: 'object', required: true } },
+    async handle({ platform, vendorCode }) {
+        return lookupVendor(platform, vendorCode);
+    }
+});
+
+registerMessageHandler("searchVendors", {
+    request: {
+        query: { type: 'string', required: true },
+        limit: { type: 'number' }
+    },
+    response: {
+        data: { type: 'array', required: true },
+        query: { type: 'string', required: true }
+    },
+    async handle({ query, limit }, { sender }) {
+        const result = await searchVendors(query, {
+            limit: Math.min(Math.max(parseInt(limit) || PERF_CONFIG.VENDOR_SEARCH_LIMIT, 1), 100),
+            callerKey: sender?.tab ? `tab:${sender.tab.id}` : `page:${sender?.url || 'unknown'}`
+        });
+        if (!result.success) return result;
         
-        Logger.performance(`TapsiFood: Processed ${totalProducts} products for vendor ${vendorCode}`);
-        return products;
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            Logger.error(`TapsiFood: Request timeout for vendor ${vendorCode}`);
-        } else {
-            Logger.error("Failed to fetch TapsiFood data:", error);
-        }
-        return null;
+        return {
+            success: true,
+            data: result.data,
+            query: result.query,
+            superseded: Boolean(result.superseded),
+            source: result.source
+        };
     }
-}
+});
 
-// ===== ENHANCED MESSAGE HANDLER =====
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    const startTime = performance.now();
-    
-    Logger.debug(`Message received: ${request.action}`);
-    
-    // Handle price fetching requests from menu pages
-    if (request.action === "fetchPrices") {
-        (async () => {
-            try {
-                const { sfVendorCode, tfVendorCode, sourcePlatform } = request;
-                
-                if (!sourcePlatform || (!sfVendorCode && !tfVendorCode)) {
-                    sendResponse({ success: false, error: "Invalid request format." });
-                    return;
-                }
-                
-                // Get vendor mapping from API
-                let apiResult;
-                if (sourcePlatform === "snappfood" && sfVendorCode) {
-                    apiResult = await getVendorData('snappfood', sfVendorCode);
-                } else if (sourcePlatform === "tapsifood" && tfVendorCode) {
-                    apiResult = await getVendorData('tapsifood', tfVendorCode);
-                } else {
-                    sendResponse({ success: false, error: "Invalid platform or vendor code." });
-                    return;
-                }
-                
-                if (!apiResult.success) {
-                    sendResponse({ 
-                        success: false, 
-                        error: apiResult.error,
-                        isConnectionError: apiResult.isConnectionError 
-                    });
-                    return;
-                }
-                
-                const { vendor_info, item_mappings } = apiResult.data;
-                
-                // Fetch product data from both platforms concurrently
-                const [sfProducts, tfProducts] = await Promise.all([
-                    fetchSnappfoodData(vendor_info.sf_code),
-                    fetchTapsifoodData(vendor_info.tf_code)
-                ]);
-                
-                if (sfProducts && tfProducts) {
-                    const comparisonData = processAndCompare(sfProducts, tfProducts, sourcePlatform, item_mappings);
-                    
-                    const processingTime = performance.now() - startTime;
-                    Logger.performance(`Price fetching completed in ${processingTime.toFixed(2)}ms`);
-                    
-                    sendResponse({ 
-                        success: true, 
-                        data: comparisonData, 
-                        vendorInfo: vendor_info,
-                        performanceMetrics: {
-                            processingTime: processingTime.toFixed(2),
-                            sfProductCount: Object.keys(sfProducts).length,
-                            tfProductCount: Object.keys(tfProducts).length,
-                            comparisonCount: Object.keys(comparisonData).length
-                        }
-                    });
-                } else {
-                    let errorMsg = "Failed to fetch product data from one or both platforms.";
-                    if (!sfProducts) errorMsg += " (SnappFood failed)";
-                    if (!tfProducts) errorMsg += " (TapsiFood failed)";
-                    sendResponse({ success: false, error: errorMsg });
-                }
-            } catch (error) {
-                Logger.error("Unexpected error in fetchPrices:", error);
-                sendResponse({ success: false, error: `Unexpected error: ${error.message}` });
+// Vendor list requests from home/service pages or popup
+registerMessageHandler("getVendorList", {
+    request: { businessLine: { type: 'string' } },
+    response: {
+        vendors: { type: 'array', required: true },
+        stats: { type: 'object', required: true }
+    },
+    async handle(request, { startTime }) {
+        try {
+            const [statsResult, vendorsResult] = await Promise.all([
+                getAPIStats(), 
+                getVendorsList(request.businessLine)
+            ]);
+            
+            let vendors = [];
+            let stats = { totalVendors: 0, totalItems: 0 };
+            let apiErrors = { statsError: null, vendorsError: null };
+            
+            if (vendorsResult.success && vendorsResult.data) {
+                vendors = vendorsResult.data;
+            } else {
+                apiErrors.vendorsError = vendorsResult.error;
             }
-        })();
-        return true; // Indicates that the response is sent asynchronously
-    }
-    
-    // Handle vendor list requests from home/service pages or popup
-    if (request.action === "getVendorList") {
-        (async () => {
-            try {
-                const [statsResult, vendorsResult] = await Promise.all([
-                    getAPIStats(), 
-                    getVendorsList()
-                ]);
-                
-                let vendors = [];
-                let stats = { totalVendors: 0, totalItems: 0 };
-                let apiErrors = { statsError: null, vendorsError: null };
-                
-                if (vendorsResult.success && vendorsResult.data) {
-                    vendors = vendorsResult.data;
-                } else {
-                    apiErrors.vendorsError = vendorsResult.error;
-                }
-                
-                if (statsResult.success && statsResult.data) {
-                    stats = {
-                        totalVendors: statsResult.data.total_vendors || 0,
-                        totalItems: statsResult.data.total_items || 0,
-                        uniqueSfVendors: statsResult.data.unique_sf_vendors || 0,
-                        uniqueTfVendors: statsResult.data.unique_tf_vendors || 0
-                    };
-                } else {
-                    apiErrors.statsError = statsResult.error;
-                }
+            
+            if (statsResult.success && statsResult.data) {
+                stats = {
+                    totalVendors: statsResult.data.total_vendors || 0,
+                    totalItems: statsResult.data.total_items || 0,
+                    uniqueSfVendors: statsResult.data.unique_sf_vendors || 0,
+                    uniqueTfVendors: statsResult.data.unique_tf_vendors || 0
+                };
+            } else {
+                apiErrors.statsError = statsResult.error;
+            }
+            
+            await platformSchemaReady;
+            
+            const processingTime = performance.now() - startTime;
+            Logger.performance(`Vendor list fetching completed in ${processingTime.toFixed(2)}ms`);
                 
-                const processingTime = performance.now() - startTime;
-                Logger.performance(`Vendor list fetching completed in ${processingTime.toFixed(2)}ms`);
-                    
-                sendResponse({ 
-                    success: true, 
-                    vendors: vendors,
-                    stats: stats,
-                    apiErrors: apiErrors,
-                    performanceMetrics: {
-                        processingTime: processingTime.toFixed(2),
-                        vendorCount: vendors.length,
-                        cacheStats: {
-                            vendorData: vendorDataCache.getStats(),
-                            vendorList: vendorListCache.getStats(),
-                            apiStats: apiStatsCache.getStats()
-                        }
+            return { 
+                success: true, 
+                vendors: vendors,
+                stats: stats,
+                isStale: Boolean(vendorsResult.isStale),
+                businessLine: vendorsResult.businessLine || null,
+                businessLines: vendorsResult.businessLines || [],
+                apiErrors: apiErrors,
+                dataSource: getDataSourceStatus(),
+                sync: getVendorSyncStatus(),
+                platformStatus: getPlatformSchemaStatus(),
+                performanceMetrics: {
+                    processingTime: processingTime.toFixed(2),
+                    vendorCount: vendors.length,
+                    cacheStats: {
+                        vendorData: vendorDataCache.getStats(),
+                        vendorList: vendorListCache.getStats(),
+                        apiStats: apiStatsCache.getStats()
                     }
-                });
-            } catch (error) {
-                Logger.error("Failed to get vendor list:", error);
-                sendResponse({ 
-                    success: false, 
-                    error: `Failed to connect to API: ${error.message}`,
-                    isConnectionError: true
-                });
-            }
-        })();
-        return true;
+                }
+            };
+        } catch (error) {
+            Logger.error("Failed to get vendor list:", error);
+            return { 
+                success: false, 
+                error: `Failed to connect to API: ${error.message}`,
+                isConnectionError: true
+            };
+        }
     }
-    
-    // Handle health check requests
-    if (request.action === "healthCheck") {
-        (async () => {
-            try {
-                const result = await fetchFromAPI('/health');
-                const processingTime = performance.now() - startTime;
-                
-                if (result.success) {
-                    result.performanceMetrics = {
-                        processingTime: processingTime.toFixed(2),
-                        systemMetrics: performanceMetrics,
-                        cacheStats: {
-                            vendorData: vendorDataCache.getStats(),
-                            vendorList: vendorListCache.getStats(),
-                            apiStats: apiStatsCache.getStats()
-                        }
-                    };
+});
+
+// Health check requests
+registerMessageHandler("healthCheck", {
+    async handle(request, { startTime }) {
+        try {
+            const result = await fetchFromAPI('/health');
+            if (!result.success) return result;
+            
+            // The result may be shared with other callers, so don't mutate it
+            return {
+                ...result,
+                performanceMetrics: {
+                    processingTime: (performance.now() - startTime).toFixed(2),
+                    systemMetrics: performanceMetrics,
+                    cacheStats: {
+                        vendorData: vendorDataCache.getStats(),
+                        vendorList: vendorListCache.getStats(),
+                        apiStats: apiStatsCache.getStats()
+                    }
                 }
-                
-                sendResponse(result);
-            } catch (error) {
-                sendResponse({ 
-                    success: false, 
-                    error: error.message,
-                    isConnectionError: true
-                });
-            }
-        })();
-        return true;
+            };
+        } catch (error) {
+            return { 
+                success: false, 
+                error: error.message,
+                isConnectionError: true
+            };
+        }
     }
-    
-    // Handle performance metrics requests
-    if (request.action === "getPerformanceMetrics") {
-        const processingTime = performance.now() - startTime;
+});
+
+// Performance metrics requests
+registerMessageHandler("getPerformanceMetrics", {
+    response: { data: { type: 'object', required: true } },
+    async handle(request, { startTime }) {
+        await endpointMetrics.ready;
         const uptime = Date.now() - performanceMetrics.startTime;
         
-        sendResponse({
+        return {
             success: true,
             data: {
                 ...performanceMetrics,
                 uptime: uptime,
                 uptimeFormatted: formatUptime(uptime),
-                processingTime: processingTime.toFixed(2),
+                processingTime: (performance.now() - startTime).toFixed(2),
+                scheduler: requestScheduler.getStats(),
+                endpoints: endpointMetrics.getSummary(),
                 cacheStats: {
                     vendorData: vendorDataCache.getStats(),
                     vendorList: vendorListCache.getStats(),
                     apiStats: apiStatsCache.getStats()
                 }
             }
-        });
-        return false;
+        };
     }
-    
-    // Handle cache management requests
-    if (request.action === "clearCache") {
-        vendorDataCache.clear();
-        vendorListCache.clear();
-        apiStatsCache.clear();
+});
+
+// Cache management requests
+registerMessageHandler("clearCache", {
+    async handle() {
+        invalidateBackendCaches();
+        platformDataCache.clear();
         
-        sendResponse({ 
+        return { 
             success: true, 
             message: "All caches cleared successfully",
             clearedAt: new Date().toISOString()
-        });
-        return false;
+        };
+    }
+});
+
+// Settings requests from the popup and options page
+registerMessageHandler("getSettings", {
+    response: {
+        settings: { type: 'object', required: true },
+        defaults: { type: 'object', required: true }
+    },
+    async handle() {
+        await settingsReady;
+        return {
+            success: true,
+            settings: { ...settings },
+            defaults: SETTINGS_DEFAULTS
+        };
+    }
+});
+
+registerMessageHandler("updateSettings", {
+    request: { settings: { type: 'object', required: true } },
+    response: { settings: { type: 'object', required: true } },
+    async handle(request) {
+        await settingsReady;
+        
+        const updates = {};
+        for (const [key, value] of Object.entries(request.settings)) {
+            const validate = SETTINGS_VALIDATORS[key];
+            if (!validate) {
+                throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, `Unknown setting: ${key}`);
+            }
+            
+            const normalized = validate(value);
+            if (normalized === null) {
+                throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, `Invalid value for ${key}`);
+            }
+            updates[key] = normalized;
+        }
+        
+        await chrome.storage.local.set(updates);
+        Object.assign(settings, updates);
+        
+        return { success: true, settings: { ...settings } };
+    }
+});
+
+// Delivery location requests
+registerMessageHandler("reportDetectedLocation", {
+    request: {
+        location: { type: 'object', required: true },
+        platform: { type: 'string', values: ['snappfood', 'tapsifood'] }
+    },
+    response: { updated: { type: 'boolean', required: true } },
+    async handle({ location, platform }) {
+        return { success: true, updated: await rememberDetectedLocation(location, platform) };
+    }
+});
+
+registerMessageHandler("getLocationStatus", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        const resolved = await resolveActiveLocation();
+        return {
+            success: true,
+            data: {
+                activeLocation: settings.activeLocation,
+                savedAddresses: settings.savedAddresses,
+                detected: detectedLocation,
+                resolved,
+                defaults: DEFAULT_PLATFORM_LOCATIONS
+            }
+        };
+    }
+});
+
+// Offline mapping data requests from the popup and options page
+registerMessageHandler("getDataSourceStatus", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        await settingsReady;
+        await offlineMappings.ready;
+        return { success: true, data: getDataSourceStatus() };
+    }
+});
+
+registerMessageHandler("importOfflineData", {
+    request: {
+        vendors: { type: 'object', required: true },
+        items: { type: 'object' }
+    },
+    response: { data: { type: 'object', required: true } },
+    async handle({ vendors, items }) {
+        await offlineMappings.ready;
+        try {
+            return { success: true, data: await offlineMappings.importData({ vendors, items }) };
+        } catch (error) {
+            Logger.warn("Offline: Import failed:", error);
+            throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, error.message);
+        }
+    }
+});
+
+registerMessageHandler("clearOfflineData", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        return { success: true, data: await offlineMappings.clearImported() };
+    }
+});
+
+registerMessageHandler("getFixtureStatus", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        return { success: true, data: await fixtureStore.getStatus() };
+    }
+});
+
+registerMessageHandler("exportFixtures", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        return { success: true, data: await fixtureStore.exportBundle() };
+    }
+});
+
+registerMessageHandler("importFixtures", {
+    request: { bundle: { type: 'object', required: true } },
+    response: { data: { type: 'object', required: true } },
+    async handle({ bundle }) {
+        try {
+            const result = await fixtureStore.importBundle(bundle);
+            return { success: true, data: { ...result, ...await fixtureStore.getStatus() } };
+        } catch (error) {
+            Logger.warn("Fixtures: Import failed:", error);
+            throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, error.message);
+        }
+    }
+});
+
+registerMessageHandler("clearFixtures", {
+    response: { data: { type: 'object', required: true } },
+    async handle() {
+        await fixtureStore.clear();
+        return { success: true, data: await fixtureStore.getStatus() };
+    }
+});
+
+// Backend connection tests from the options page
+registerMessageHandler("testConnection", {
+    request: { apiBaseUrl: { type: 'string' } },
+    async handle(request, { startTime }) {
+        await settingsReady;
+        
+        const baseUrl = request.apiBaseUrl !== undefined ?
+            normalizeBaseUrl(request.apiBaseUrl) : settings.apiBaseUrl;
+        
+        if (!baseUrl) {
+            throw new MessageError(MESSAGE_ERRORS.INVALID_REQUEST, "Invalid backend URL.");
+        }
+        
+        // Bypasses the caches on purpose: this must reflect the URL being tested
+        const [healthResult, statsResult] = await Promise.all([
+            fetchFromAPI('/health', { baseUrl }),
+            fetchFromAPI('/stats', { baseUrl })
+        ]);
+        
+        const success = healthResult.success && statsResult.success;
+        return {
+            success,
+            ...(success ? {} : { code: MESSAGE_ERRORS.CONNECTION_ERROR }),
+            apiBaseUrl: baseUrl,
+            health: healthResult,
+            stats: statsResult,
+            processingTime: (performance.now() - startTime).toFixed(2)
+        };
     }
-    
-    // Unknown action
-    Logger.warn(`Unknown action received: ${request.action}`);
-    sendResponse({ success: false, error: "Unknown action" });
-    return false;
 });
 
 // ===== UTILITY FUNCTIONS =====
@@ -690,10 +4297,11 @@ function formatUptime(ms) {
 (async () => {
     try {
         Logger.performance("Background: Starting up...");
+        await settingsReady;
         
-        const result = await fetchFromAPI('/health');
-        if (result.success) {
-            Logger.info("Background: ✅ API connection successful!", result.data);
+        const health = await ensureBackendHealth();
+        if (health.status === 'ok') {
+            Logger.info("Background: ✅ API connection successful!");
             
             // Pre-warm caches with a small vendor list request
             try {
@@ -702,11 +4310,9 @@ function formatUptime(ms) {
             } catch (error) {
                 Logger.warn("Background: Cache pre-warming failed:", error);
             }
-        } else {
-            Logger.error("Background: ❌ API connection failed!", result.error);
-            if (result.isConnectionError) {
-                Logger.info("Background: Please ensure FastAPI server is running on http://127.0.0.1:8000");
-            }
+        } else if (health.status === 'down') {
+            Logger.error("Background: ❌ API connection failed!", health.lastError);
+            Logger.info(`Background: Please ensure FastAPI server is running on ${settings.apiBaseUrl}`);
         }
     } catch (error) {
         Logger.error("Background: Failed to test API connection on startup:", error);
@@ -727,6 +4333,14 @@ setInterval(() => {
     }
 }, 120000); // 2 minutes
 
+// Keep the price history store within its retention limits; the worker
+// rarely lives an hour, so also prune once per startup
+const prunePriceHistory = () => {
+    priceHistory.prune().catch(error => Logger.warn("PriceHistory: Prune failed:", error));
+};
+prunePriceHistory();
+setInterval(prunePriceHistory, 60 * 60 * 1000); // 1 hour
+
 // Log performance metrics every 5 minutes
 setInterval(() => {
     if (PERF_CONFIG.DEBUG_LOGGING) {
@@ -735,7 +4349,7 @@ setInterval(() => {
             uptime: formatUptime(uptime),
             apiCalls: performanceMetrics.apiCalls,
             errors: performanceMetrics.errors,
-            averageResponseTime: performanceMetrics.averageResponseTime.toFixed(2) + 'ms',
+            p95ResponseTime: endpointMetrics.getSummary().overall.p95 + 'ms',
             cacheHitRate: vendorDataCache.getStats().hitRate,
             memoryUsage: 'N/A' // Would need additional API for memory stats
         });
@@ -753,9 +4367,7 @@ if (PERF_CONFIG.DEBUG_LOGGING) {
         }),
         getPerformanceMetrics: () => performanceMetrics,
         clearAllCaches: () => {
-            vendorDataCache.clear();
-            vendorListCache.clear();
-            apiStatsCache.clear();
+            invalidateBackendCaches();
             Logger.performance("Background: All caches cleared via debug interface");
         }
     }));
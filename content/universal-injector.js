@@ -134,11 +134,19 @@ class ExtensionState {
         this.navigationInterval = null;
         this.comparisonData = {};
         this.vendorInfo = {};
+        this.vendorFees = {};
+        this.priceHistory = {};
+        this.itemOverrides = {};
+        this.menus = { base: [], counterpart: [] };
+        this.comparisonStatus = 'idle'; // idle | pending | ready | failed
+        this.comparisonStream = null;
         this.pairedVendors = new Set();
         this.processedVendors = new Set();
         this.allProductElements = new WeakSet();
         this.activeObservers = [];
         this.vendorList = [];
+        this.businessLine = null; // Line of the current service page; null highlights every vendor
+        this.businessLines = []; // [{ businessLine, vendorCount }] from the background
         this.performanceMetrics = {
             initTime: 0,
             processTime: 0,
@@ -157,10 +165,18 @@ class ExtensionState {
     reset() {
         this.comparisonData = {};
         this.vendorInfo = {};
+        this.vendorFees = {};
+        this.priceHistory = {};
+        this.itemOverrides = {};
+        this.menus = { base: [], counterpart: [] };
+        this.comparisonStatus = 'idle';
+        this.comparisonStream = null;
         this.pairedVendors = new Set();
         this.processedVendors = new Set();
         this.allProductElements = new WeakSet();
         this.vendorList = [];
+        this.businessLine = null;
+        this.businessLines = [];
         this.domCache.clear();
         this.ratingCache.clear();
         this.searchCache.clear();
@@ -204,6 +220,9 @@ class SearchManager {
         this.searchResults = [];
         this.filteredResults = [];
         this.currentSort = 'relevance';
+        this.businessLine = 'all'; // Business line shown in vendor search
+        this.vendorQuery = ''; // Query the vendor results on screen belong to
+        this.serverVendorResults = { query: null, vendors: [] }; // Latest /search/vendors answer
         this.searchStartTime = null;
         
         // ===== VIRTUAL SCROLLING STATE =====
@@ -297,26 +316,84 @@ class SearchManager {
         return new Intl.NumberFormat('fa-IR').format(num || 0);
     }
 
-    toggleFavorite(name) {
+    toggleFavorite(name, item = null) {
         const idx = this.favorites.findIndex(fav =>
             (typeof fav === 'string' ? fav : fav.name) === name
         );
 
         if (idx !== -1) {
-            this.favorites.splice(idx, 1);
+            const [removed] = this.favorites.splice(idx, 1);
+            this.sendFavoriteWatch(removed.watch || this.getFavoriteWatch(name, item), false);
         } else {
+            const watch = this.getFavoriteWatch(name, item);
             this.favorites.push({
                 name: name,
                 timestamp: Date.now(),
-                source: state.currentPageType
+                source: state.currentPageType,
+                watch
             });
+            this.sendFavoriteWatch(watch, true);
         }
 
-        if (this.favorites.length > 50) this.favorites.pop();
+        // New favorites are appended, so the oldest are evicted; their alerts stop too
+        while (this.favorites.length > 50) {
+            this.sendFavoriteWatch(this.favorites.shift().watch, false);
+        }
         this.saveToStorage('spVsTpFavorites', this.favorites);
         this.updateStatsDisplay();
     }
 
+    // Price alerts run in the background, which needs the vendor pair and item id
+    getFavoriteWatch(name, item) {
+        if (!item || !state.vendorInfo.sf_code || !state.vendorInfo.tf_code) return null;
+
+        return {
+            name,
+            sourcePlatform: state.currentPageType.startsWith('snappfood') ? 'snappfood' : 'tapsifood',
+            sfVendorCode: state.vendorInfo.sf_code,
+            tfVendorCode: state.vendorInfo.tf_code,
+            itemId: item.baseProduct.id,
+            prices: { base: item.baseProduct.price, counterpart: item.counterpartProduct.price }
+        };
+    }
+
+    sendFavoriteWatch(favorite, watched) {
+        if (!favorite) return;
+
+        MessageClient.send("watchFavorite", { watched, favorite }, (response) => {
+            if (!response.success) {
+                Logger.warn('Failed to sync favorite watch:', MessageClient.describeError(response));
+            }
+        });
+    }
+
+    // Favorites saved without watch details (older entries, or starred before the
+    // comparison loaded) are only names; they start being watched on the first
+    // vendor whose comparison has an item with that name
+    reconcileFavoriteWatches(comparisons) {
+        let changed = false;
+
+        this.favorites = this.favorites.map(fav => {
+            const entry = typeof fav === 'string' ? { name: fav, timestamp: Date.now(), source: state.currentPageType } : fav;
+            if (entry.watch) return entry;
+
+            const item = comparisons.find(comparison => comparison.baseProduct?.name === entry.name);
+            const watch = item && this.getFavoriteWatch(entry.name, item);
+            if (!watch) return entry;
+
+            changed = true;
+            this.sendFavoriteWatch(watch, true);
+            return { ...entry, watch };
+        });
+
+        if (changed) this.saveToStorage('spVsTpFavorites', this.favorites);
+    }
+
+    // Stops the alerts of every watched favorite, e.g. before clearing them all
+    unwatchAllFavorites() {
+        this.favorites.forEach(fav => this.sendFavoriteWatch(fav.watch, false));
+    }
+
     isFavorite(name) {
         return this.favorites.some(fav =>
             (typeof fav === 'string' ? fav : fav.name) === name
@@ -384,6 +461,42 @@ function detectPageType(url = window.location.href) {
     return 'unknown';
 }
 
+// ===== BUSINESS LINES =====
+// Service pages are per business line (/service/cafe/city/...); the slug is
+// matched against each mapping's business_line
+function getServiceBusinessLine(url = window.location.href) {
+    const match = url.match(/snappfood\.ir\/service\/([^/?#]+)\/city\//);
+    if (!match) return null;
+
+    try {
+        return decodeURIComponent(match[1]).toLowerCase();
+    } catch (e) {
+        return match[1].toLowerCase();
+    }
+}
+
+function getBusinessLineLabel(businessLine) {
+    return BUSINESS_LINE_LABELS[businessLine] ?? businessLine;
+}
+
+function getVendorListPayload(businessLine) {
+    return businessLine && businessLine !== 'all' ? { businessLine } : {};
+}
+
+const VENDOR_BADGE_SELECTORS = [
+    '.sp-vs-tp-paired-vendor-textbox',
+    '.sp-vs-tp-paired-vendor-badge',
+    '.sp-vs-tp-high-rating-textbox',
+    '.sp-vs-tp-recommendation-textbox',
+    '.sp-vs-tp-recommendation-badge',
+    '.sp-vs-tp-star-badge'
+];
+
+const VENDOR_HIGHLIGHT_CLASSES = [
+    'sp-vs-tp-vendor-paired', 'sp-vs-tp-vendor-high-rating', 'sp-vs-tp-vendor-hot-recommendation',
+    'sp-vs-tp-vendor-premium' // New class for paired + high rating
+];
+
 function cleanupAll() {
     Logger.debug('🧹 Optimized cleanup starting...');
     const startTime = performance.now();
@@ -392,12 +505,7 @@ function cleanupAll() {
         '.sp-vs-tp-comparison-text',
         '#sp-vs-tp-widget-container',
         '#sp-vs-tp-widget-icon',
-        '.sp-vs-tp-paired-vendor-textbox',
-        '.sp-vs-tp-paired-vendor-badge',
-        '.sp-vs-tp-high-rating-textbox',
-        '.sp-vs-tp-recommendation-textbox',
-        '.sp-vs-tp-recommendation-badge',
-        '.sp-vs-tp-star-badge'
+        ...VENDOR_BADGE_SELECTORS
     ];
 
     const selector = elementsToRemove.join(', ');
@@ -406,8 +514,7 @@ function cleanupAll() {
     const classesToRemove = [
         'sp-vs-tp-cheaper', 'sp-vs-tp-expensive', 'sp-vs-tp-same-price',
         'sp-vs-tp-same-price-gray', 'sp-vs-tp-unpaired',
-        'sp-vs-tp-vendor-paired', 'sp-vs-tp-vendor-high-rating', 'sp-vs-tp-vendor-hot-recommendation',
-        'sp-vs-tp-vendor-premium' // New class for paired + high rating
+        ...VENDOR_HIGHLIGHT_CLASSES
     ];
 
     const classSelector = classesToRemove.map(cls => `.${cls}`).join(', ');
@@ -415,6 +522,8 @@ function cleanupAll() {
         el.classList.remove(...classesToRemove);
     });
 
+    // Drop a comparison still streaming in for the previous page
+    state.comparisonStream?.disconnect();
     state.reset();
 
     const cleanupTime = performance.now() - startTime;
@@ -444,6 +553,67 @@ function extractVendorCodeFromUrl(url, platform) {
     }
 }
 
+// ===== DELIVERY LOCATION DETECTION =====
+// Both sites keep the selected delivery address in the URL or localStorage;
+// the exact key names change between releases, so scan for anything that
+// looks like a coordinate pair inside Iran.
+const IRAN_BOUNDS = { minLat: 25, maxLat: 40, minLng: 44, maxLng: 64 };
+const LOCATION_LAT_KEYS = ['lat', 'latitude'];
+const LOCATION_LNG_KEYS = ['lng', 'long', 'lon', 'longitude'];
+
+function isLocationInIran(lat, lng) {
+    return lat >= IRAN_BOUNDS.minLat && lat <= IRAN_BOUNDS.maxLat &&
+        lng >= IRAN_BOUNDS.minLng && lng <= IRAN_BOUNDS.maxLng;
+}
+
+function findCoordinates(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 4) return null;
+
+    const latKey = LOCATION_LAT_KEYS.find(key => key in value);
+    const lngKey = LOCATION_LNG_KEYS.find(key => key in value);
+    if (latKey && lngKey) {
+        const lat = parseFloat(value[latKey]);
+        const lng = parseFloat(value[lngKey]);
+        if (isLocationInIran(lat, lng)) {
+            const label = value.address || value.title || value.label || value.name;
+            return { lat, lng, label: typeof label === 'string' ? label : '' };
+        }
+    }
+
+    for (const child of Object.values(value)) {
+        const found = findCoordinates(child, depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+function detectPlatformLocation() {
+    const params = new URLSearchParams(window.location.search);
+    const fromUrl = findCoordinates(Object.fromEntries(params.entries()));
+    if (fromUrl) return fromUrl;
+
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!/address|location|coord/i.test(key)) continue;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(localStorage.getItem(key));
+            } catch (e) {
+                continue;
+            }
+
+            const found = findCoordinates(parsed);
+            if (found) return found;
+        }
+    } catch (error) {
+        Logger.warn('Location detection failed:', error);
+    }
+
+    return null;
+}
+
 // ===== OPTIMIZED RATING EXTRACTION SYSTEM =====
 const PERSIAN_TO_WESTERN_MAP = {
     '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4',
@@ -612,7 +782,7 @@ function getItemCount(vendor) {
 const TEXT_BOX_TEMPLATES = {
     paired: {
         className: 'sp-vs-tp-paired-vendor-badge',
-        text: 'ارسال رایگان از تپسی‌فود',
+        text: 'موجود در تپسی‌فود',
         backgroundColor: '#28a745', // Green
         icon: `<svg width="16" height="16" viewBox="0 0 20 20" fill="white" xmlns="http://www.w3.org/2000/svg">
             <path d="M14.5832 9.58325C14.1229 9.58325 13.7498 9.95635 13.7498 10.4166C13.7498 10.8768 14.1229 11.2499 14.5832 11.2499C15.0434 11.2499 15.4165 10.8768 15.4165 10.4166C15.4165 9.95635 15.0434 9.58325 14.5832 9.58325Z"></path>
@@ -760,16 +930,11 @@ function performAdvancedSearch(query, list, input) {
         let results = state.searchCache.get(cacheKey);
         
         if (!results) {
-            results = hasProductData ? Object.values(state.comparisonData) : state.vendorList;
+            const data = hasProductData ? Object.values(state.comparisonData) : state.vendorList;
 
-            Logger.debug(`🔍 Starting search: "${query}", category: ${category}, hasProductData: ${hasProductData}, total items: ${results.length}`);
+            Logger.debug(`🔍 Starting search: "${query}", category: ${category}, hasProductData: ${hasProductData}, total items: ${data.length}`);
 
-            if (query && query.length >= 1) {
-                results = performSmartSearch(query, results, hasProductData);
-            }
-
-            results = applyCategoryFilters(results, category, hasProductData);
-            results = applySorting(results, searchManager.currentSort, hasProductData);
+            results = selectResults(query, data, hasProductData);
 
             // ===== LIMIT RESULTS TO PREVENT UI LAG =====
             if (results.length > PERF_CONFIG.MAX_SEARCH_RESULTS) {
@@ -795,7 +960,9 @@ function performAdvancedSearch(query, list, input) {
         if (hasProductData) {
             renderEnhancedResults(results, list);
         } else {
+            searchManager.vendorQuery = query;
             renderEnhancedVendorResults(results, list);
+            searchServerVendors(query, results, list);
         }
 
         updateSearchStatus(`${formatNumber(results.length)} نتیجه در ${searchTime.toFixed(0)} میلی‌ثانیه`, false);
@@ -810,6 +977,17 @@ function performAdvancedSearch(query, list, input) {
     }, query ? 150 : 0);
 }
 
+// Query, category and sort applied to the full data set, before the display cap
+function selectResults(query, data, hasProductData) {
+    let results = data;
+    if (query && query.length >= 1) {
+        results = performSmartSearch(query, results, hasProductData);
+    }
+
+    results = applyCategoryFilters(results, searchManager.currentCategory, hasProductData);
+    return applySorting(results, searchManager.currentSort, hasProductData);
+}
+
 function performSmartSearch(query, data, hasProductData) {
     const lowerQuery = query.toLowerCase().trim();
     const queryWords = lowerQuery.split(/\s+/).filter(word => word.length > 0);
@@ -976,6 +1154,61 @@ function applySorting(results, sortType, hasProductData) {
     }
 }
 
+// ===== PRICE HISTORY TREND =====
+function loadPriceHistory(sourcePlatform) {
+    MessageClient.send("getPriceHistory", {
+        vendorInfo: state.vendorInfo,
+        sourcePlatform
+    }, (response) => {
+        if (!response.success) return;
+        state.priceHistory = response.data || {};
+
+        // History usually lands after the first render; redraw the product results to show it
+        const list = document.getElementById('sp-vs-tp-search-results');
+        if (list && searchManager.filteredResults[0]?.baseProduct) {
+            renderEnhancedResults(searchManager.filteredResults, list);
+        }
+    });
+}
+
+function createTrendSparkline(points, width = 120, height = 28) {
+    const prices = points.flatMap(p => [p.sf, p.tf]);
+    const min = Math.min(...prices);
+    const range = (Math.max(...prices) - min) || 1;
+    const step = width / (points.length - 1);
+
+    const toPolyline = (key) => points
+        .map((p, i) => `${(i * step).toFixed(1)},${(height - 2 - ((p[key] - min) / range) * (height - 4)).toFixed(1)}`)
+        .join(' ');
+
+    return `
+        <svg class="trend-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline class="sf" points="${toPolyline('sf')}" fill="none" stroke-width="1.5" />
+            <polyline class="tf" points="${toPolyline('tf')}" fill="none" stroke-width="1.5" />
+        </svg>
+    `;
+}
+
+function renderPriceHistory(history, baseIsSf) {
+    if (!history || history.points.length < 2) return '';
+
+    const range = (key) => history.min[key] === history.max[key] ?
+        formatPrice(history.min[key]) :
+        `${formatPrice(history.min[key])}–${formatPrice(history.max[key])}`;
+    const platforms = baseIsSf ?
+        [['sf', 'اسنپ‌فود'], ['tf', 'تپسی‌فود']] :
+        [['tf', 'تپسی‌فود'], ['sf', 'اسنپ‌فود']];
+
+    return `
+        <div class="price-history-row" title="کمترین و بیشترین قیمت ثبت‌شده">
+            ${createTrendSparkline(history.points)}
+            <div class="price-history-range">
+                ${platforms.map(([key, label]) => `<span class="${key}">${label}: ${range(key)}</span>`).join('')}
+            </div>
+        </div>
+    `;
+}
+
 // ===== VIRTUAL SCROLLING RESULTS RENDERING =====
 function renderEnhancedResults(results, list) {
     list.innerHTML = '';
@@ -1002,7 +1235,7 @@ function renderEnhancedResults(results, list) {
 
     visibleResults.forEach((item, index) => {
         const li = document.createElement('li');
-        li.className = 'result-item enhanced';
+        li.className = `result-item enhanced${item.isEstimated ? ' estimated' : ''}`;
 
         const baseIsSf = state.currentPageType.startsWith('snappfood');
         const baseLabel = baseIsSf ? 'اسنپ‌فود' : 'تپسی‌فود';
@@ -1019,6 +1252,25 @@ function renderEnhancedResults(results, list) {
         const savingsClass = item.priceDiff > 0 ? 'savings' :
             item.priceDiff < 0 ? 'expensive' : 'equal';
 
+        const orderCostNote = item.orderCost ? `
+                <div class="order-cost-row" title="${formatCostBreakdown(item.orderCost.base)}\n${formatCostBreakdown(item.orderCost.counterpart)}">
+                    <span>هزینه کل:</span>
+                    <span class="${baseClass}">${formatPrice(item.orderCost.base.total)}</span>
+                    <span>/</span>
+                    <span class="${counterClass}">${formatPrice(item.orderCost.counterpart.total)}</span>
+                    <span>تومان</span>
+                </div>` : '';
+        const manualNote = item.matchType === 'manual' ?
+            '<span class="estimate-label manual">پیوند دستی</span>' : '';
+        const estimateNote = item.isEstimated ? `
+                <span class="estimate-label" title="${item.counterpartProduct.name}">
+                    تطبیق تخمینی با «${item.counterpartProduct.name}» (${formatPercentage(Math.round(item.confidence * 100))}%)
+                </span>` : '';
+        const historyNote = renderPriceHistory(state.priceHistory[item.baseProduct.id], baseIsSf);
+        const variationLabel = getVariationLabel(item);
+        const variationNote = variationLabel ?
+            `<span class="variation-label ${item.counterpartProduct.variation ? counterClass : baseClass}">${variationLabel}</span>` : '';
+
         li.innerHTML = `
             <div class="result-header">
                 <div class="result-title">
@@ -1028,6 +1280,7 @@ function renderEnhancedResults(results, list) {
                               title="افزودن به علاقه‌مندی‌ها">
                             ${searchManager.isFavorite(item.baseProduct.name) ? '★' : '☆'}
                         </span>
+                        <span class="link-icon" title="ویرایش پیوند محصول">🔗</span>
                         <span class="result-index">#${index + 1}</span>
                     </div>
                 </div>
@@ -1044,13 +1297,23 @@ function renderEnhancedResults(results, list) {
                     <span class="platform-label ${counterClass}">${counterLabel}</span>
                     <span class="price-value">${formatPrice(item.counterpartProduct.price)} تومان</span>
                 </div>
+                ${orderCostNote}
+                ${manualNote}
+                ${estimateNote}
+                ${variationNote}
+                ${historyNote}
             </div>
         `;
 
+        li.querySelector('.link-icon').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showLinkPicker(item.baseProduct, item);
+        });
+
         const favoriteIcon = li.querySelector('.favorite-icon');
         favoriteIcon.addEventListener('click', (e) => {
             e.stopPropagation();
-            searchManager.toggleFavorite(item.baseProduct.name);
+            searchManager.toggleFavorite(item.baseProduct.name, item);
             favoriteIcon.textContent = searchManager.isFavorite(item.baseProduct.name) ? '★' : '☆';
             favoriteIcon.classList.toggle('active');
 
@@ -1059,7 +1322,7 @@ function renderEnhancedResults(results, list) {
         });
 
         li.addEventListener('click', (e) => {
-            if (!e.target.closest('.favorite-icon')) {
+            if (!e.target.closest('.favorite-icon, .link-icon')) {
                 openCounterpartVendor();
                 trackAction('result_click', {
                     product: item.baseProduct.name
@@ -1095,7 +1358,51 @@ function renderEnhancedResults(results, list) {
     }
 }
 
-function renderEnhancedVendorResults(results, list) {
+// ===== SERVER VENDOR SEARCH =====
+// The local list only holds synced vendors; /search/vendors (debounced and
+// cached in the background) finds the rest. Its answer is merged in below.
+function searchServerVendors(query, localResults, list) {
+    if (!query || query.trim().length < 2) return;
+
+    MessageClient.send("searchVendors", { query }, (response) => {
+        // The user kept typing, or the list was re-rendered for another query
+        if (response.superseded || searchManager.vendorQuery !== query) return;
+
+        if (!response.success) {
+            Logger.debug(`Server vendor search unavailable (${MessageClient.describeError(response)})`);
+            return;
+        }
+
+        searchManager.serverVendorResults = { query, vendors: response.data };
+        renderEnhancedVendorResults(localResults, list);
+
+        const added = searchManager.filteredResults.length - localResults.length;
+        if (added > 0) {
+            updateSearchStatus(`${formatNumber(searchManager.filteredResults.length)} نتیجه (${formatNumber(added)} از سرور)`, false);
+        }
+    });
+}
+
+// Local results first, then server matches the local list doesn't have
+function mergeServerVendorResults(results) {
+    const server = searchManager.serverVendorResults;
+    if (server.query !== searchManager.vendorQuery || server.vendors.length === 0) return results;
+
+    const known = new Set(results.map(vendor => String(getVendorMapping(vendor).sf_code)));
+    const line = searchManager.businessLine;
+    const extra = server.vendors.filter(vendor => {
+        const mapping = getVendorMapping(vendor);
+        if (!mapping?.sf_code || known.has(String(mapping.sf_code))) return false;
+        known.add(String(mapping.sf_code));
+        return line === 'all' || (mapping.business_line || '').trim().toLowerCase() === line;
+    });
+
+    return extra.length > 0 ? results.concat(extra.map(vendor => ({ ...normalizeVendorData(vendor), fromServer: true }))) : results;
+}
+
+function renderEnhancedVendorResults(localResults, list) {
+    const results = mergeServerVendorResults(localResults);
+    searchManager.filteredResults = results;
     list.innerHTML = '';
 
     if (results.length === 0) {
@@ -1133,6 +1440,7 @@ function renderEnhancedVendorResults(results, list) {
         const tfCode = vendorMapping.tf_code || '';
         const sfName = vendorMapping.sf_name || 'نامشخص';
         const tfName = vendorMapping.tf_name || 'نامشخص';
+        if (vendor.fromServer) li.classList.add('vendor-from-server');
 
         li.innerHTML = `
             <div class="vendor-header">
@@ -1140,6 +1448,7 @@ function renderEnhancedVendorResults(results, list) {
                     <h4>${sfName}</h4>
                     <div class="vendor-stats">
                         <span class="vendor-codes">SF: ${sfCode} | TF: ${tfCode}</span>
+                        ${vendor.fromServer ? '<span class="vendor-source" title="یافت‌شده در جستجوی سرور">🌐 سرور</span>' : ''}
                         <span class="vendor-index">#${index + 1}</span>
                     </div>
                 </div>
@@ -1176,7 +1485,7 @@ function renderEnhancedVendorResults(results, list) {
         
         loadMoreBtn.querySelector('.load-more-button').addEventListener('click', () => {
             if (searchManager.loadMoreResults()) {
-                renderEnhancedVendorResults(results, list);
+                renderEnhancedVendorResults(localResults, list);
             }
         });
         
@@ -1350,40 +1659,64 @@ function createSearchWidget() {
             <div class="search-status">آماده جستجو</div>
         </div>
         <div id="sp-vs-tp-widget-body">
-            <div class="search-controls">
-                <div class="search-input-container">
-                    <input id="sp-vs-tp-search-input" placeholder="نام محصول یا رستوران را وارد کنید..." />
-                    <button class="search-clear" id="search-clear-btn" title="پاک کردن">×</button>
-                </div>
-                <div class="search-filters">
-                    <div id="sp-vs-tp-category-buttons">
-                        <button class="sp-vs-tp-category-btn active" data-category="all">همه</button>
-                        <button class="sp-vs-tp-category-btn" data-category="tf-cheaper">ارزان‌تر در تپسی‌فود</button>
-                        <button class="sp-vs-tp-category-btn" data-category="sf-cheaper">ارزان‌تر در اسنپ‌فود</button>
-                        <button class="sp-vs-tp-category-btn" data-category="same-price">قیمت برابر</button>
-                        <button class="sp-vs-tp-category-btn" data-category="high-savings" id="high-savings-btn">صرفه‌جویی بالا</button>
-                        <button class="sp-vs-tp-category-btn" data-category="favorites">علاقه‌مندی‌ها</button>
-                    </div>
-                    <div class="price-filter" id="price-filter" style="display: none;">
-                        <label for="max-price">حداکثر قیمت (تومان):</label>
-                        <input type="number" id="max-price" placeholder="مثال: 50000" />
+            <div class="widget-tabs" id="sp-vs-tp-widget-tabs" style="display: none;">
+                <button class="widget-tab active" data-panel="search">جستجو</button>
+                <button class="widget-tab" data-panel="cart">مقایسه سبد خرید</button>
+                <button class="widget-tab" data-panel="exclusive">فقط در یک سرویس</button>
+            </div>
+            <div class="widget-panel" id="sp-vs-tp-search-panel">
+                <div class="search-controls">
+                    <div class="search-input-container">
+                        <input id="sp-vs-tp-search-input" placeholder="نام محصول یا رستوران را وارد کنید..." />
+                        <button class="search-clear" id="search-clear-btn" title="پاک کردن">×</button>
                     </div>
-                    <div class="sort-controls">
-                        <label for="sort-select">مرتب‌سازی:</label>
-                        <select id="sort-select">
-                            <option value="relevance">مرتبط‌ترین</option>
-                            <option value="savings-desc">بیشترین صرفه‌جویی</option>
-                            <option value="percent-desc">بیشترین درصد تخفیف</option>
-                            <option value="price-asc">ارزان‌ترین</option>
-                            <option value="price-desc">گران‌ترین</option>
-                            <option value="name-asc">الفبایی (الف-ی)</option>
-                            <option value="name-desc">الفبایی (ی-الف)</option>
-                        </select>
+                    <div class="search-filters">
+                        <div id="sp-vs-tp-category-buttons">
+                            <button class="sp-vs-tp-category-btn active" data-category="all">همه</button>
+                            <button class="sp-vs-tp-category-btn" data-category="tf-cheaper">ارزان‌تر در تپسی‌فود</button>
+                            <button class="sp-vs-tp-category-btn" data-category="sf-cheaper">ارزان‌تر در اسنپ‌فود</button>
+                            <button class="sp-vs-tp-category-btn" data-category="same-price">قیمت برابر</button>
+                            <button class="sp-vs-tp-category-btn" data-category="high-savings" id="high-savings-btn">صرفه‌جویی بالا</button>
+                            <button class="sp-vs-tp-category-btn" data-category="favorites">علاقه‌مندی‌ها</button>
+                        </div>
+                        <div class="price-filter" id="price-filter" style="display: none;">
+                            <label for="max-price">حداکثر قیمت (تومان):</label>
+                            <input type="number" id="max-price" placeholder="مثال: 50000" />
+                        </div>
+                        <div class="sort-controls">
+                            <label for="sort-select">مرتب‌سازی:</label>
+                            <select id="sort-select">
+                                <option value="relevance">مرتبط‌ترین</option>
+                                <option value="savings-desc">بیشترین صرفه‌جویی</option>
+                                <option value="percent-desc">بیشترین درصد تخفیف</option>
+                                <option value="price-asc">ارزان‌ترین</option>
+                                <option value="price-desc">گران‌ترین</option>
+                                <option value="name-asc">الفبایی (الف-ی)</option>
+                                <option value="name-desc">الفبایی (ی-الف)</option>
+                            </select>
+                        </div>
+                        <div class="sort-controls" id="business-line-controls" style="display: none;">
+                            <label for="business-line-select">نوع فروشگاه:</label>
+                            <select id="business-line-select"></select>
+                        </div>
                     </div>
                 </div>
+                <div class="vendor-fees" id="sp-vs-tp-vendor-fees" style="display: none;"></div>
+                <div class="results-container">
+                    <ul id="sp-vs-tp-search-results"></ul>
+                </div>
             </div>
-            <div class="results-container">
-                <ul id="sp-vs-tp-search-results"></ul>
+            <div class="widget-panel" id="sp-vs-tp-cart-panel" style="display: none;">
+                <div class="cart-actions">
+                    <button class="load-more-button" id="cart-refresh">بروزرسانی سبد خرید</button>
+                </div>
+                <div class="cart-content" id="sp-vs-tp-cart-content"></div>
+            </div>
+            <div class="widget-panel" id="sp-vs-tp-exclusive-panel" style="display: none;">
+                <div class="cart-actions">
+                    <button class="load-more-button" id="exclusive-refresh">بروزرسانی فهرست</button>
+                </div>
+                <div class="cart-content" id="sp-vs-tp-exclusive-content"></div>
             </div>
             <div class="widget-footer">
                 <div class="search-stats" id="search-stats">
@@ -1392,13 +1725,394 @@ function createSearchWidget() {
                     <span class="stats-item">علاقه‌مندی‌ها: ${formatNumber(searchManager.favorites.length)}</span>
                 </div>
                 <div class="quick-actions">
+                    <button class="quick-action" id="widget-export-csv" title="خروجی CSV نتایج">📄</button>
+                    <button class="quick-action" id="widget-export-json" title="خروجی JSON نتایج">🧾</button>
                     <button class="quick-action" id="widget-settings" title="تنظیمات">⚙️</button>
                 </div>
             </div>
         </div>`;
     document.body.appendChild(container);
 
+    renderVendorFees(container.querySelector('#sp-vs-tp-vendor-fees'));
+    renderBusinessLineOptions(container.querySelector('#business-line-select'));
     setupWidgetInteractions(container);
+    setupWidgetPanels(container);
+}
+
+// Vendor search only; hidden when the mapping data has no business lines
+function renderBusinessLineOptions(select) {
+    const lines = state.businessLines.filter(entry => entry.businessLine);
+    if (!select || lines.length === 0 || Object.keys(state.comparisonData).length > 0) return;
+
+    const total = state.businessLines.reduce((sum, entry) => sum + entry.vendorCount, 0);
+    select.textContent = '';
+    select.add(new Option(`همه (${formatNumber(total)})`, 'all'));
+    state.businessLines.forEach(({ businessLine, vendorCount }) => {
+        select.add(new Option(`${getBusinessLineLabel(businessLine)} (${formatNumber(vendorCount)})`, businessLine));
+    });
+    select.value = searchManager.businessLine;
+    select.closest('#business-line-controls').style.display = '';
+}
+
+// Swaps the vendor search list to another line without touching page highlighting
+function loadWidgetVendors(businessLine, onLoaded) {
+    MessageClient.send("getVendorList", getVendorListPayload(businessLine), (response) => {
+        if (!response.success) {
+            Logger.warn(`Vendor list for ${businessLine} unavailable (${MessageClient.describeError(response)})`);
+            return;
+        }
+
+        state.vendorList = response.vendors;
+        state.searchCache.clear();
+        if (onLoaded) onLoaded();
+    });
+}
+
+const FEE_LABELS = {
+    deliveryFee: 'ارسال',
+    packagingFee: 'بسته‌بندی',
+    serviceFee: 'خدمات',
+    minOrder: 'حداقل سفارش'
+};
+
+// Vendor-level fees per platform, so totals in the results can be traced back
+function renderVendorFees(element) {
+    const platforms = [
+        { key: 'snappfood', label: 'اسنپ‌فود', className: 'sf' },
+        { key: 'tapsifood', label: 'تپسی‌فود', className: 'tf' }
+    ].filter(platform => state.vendorFees[platform.key]);
+
+    if (!element || platforms.length === 0) return;
+
+    element.innerHTML = platforms.map(({ key, label, className }) => {
+        const fees = state.vendorFees[key];
+        const parts = Object.entries(FEE_LABELS)
+            .filter(([fee]) => fees[fee] !== null && fees[fee] !== undefined)
+            .map(([fee, feeLabel]) => `${feeLabel}: ${fees[fee] ? formatPrice(fees[fee]) : 'رایگان'}`);
+        if (fees.vatRate) parts.push(`مالیات: ${formatPercentage(fees.vatRate)}%`);
+
+        return `
+            <div class="vendor-fees-row">
+                <span class="platform-label ${className}">${label}</span>
+                <span class="vendor-fees-values">${parts.length ? parts.join(' • ') : 'هزینه‌ها نامشخص'}</span>
+            </div>
+        `;
+    }).join('');
+    element.style.display = '';
+}
+
+// ===== CART MODE =====
+// Both sites persist the open basket in localStorage; like the delivery
+// address, key names vary between releases so look for any array of
+// { product id, quantity } records under a cart/basket key.
+const BASKET_ID_KEYS = ['productId', 'product_id', 'id'];
+const BASKET_QUANTITY_KEYS = ['quantity', 'count', 'qty'];
+const BASKET_NAME_KEYS = ['title', 'name', 'productName'];
+
+function pickField(record, keys) {
+    const key = keys.find(k => record[k] !== undefined && record[k] !== null);
+    return key ? record[key] : undefined;
+}
+
+function toBasketItem(record) {
+    if (!record || typeof record !== 'object') return null;
+
+    const product = record.product && typeof record.product === 'object' ? record.product : record;
+    const id = pickField(product, BASKET_ID_KEYS);
+    const quantity = parseInt(pickField(record, BASKET_QUANTITY_KEYS));
+    if (id === undefined || isNaN(quantity) || quantity <= 0) return null;
+
+    const price = parseFloat(product.price);
+    return {
+        id,
+        name: pickField(product, BASKET_NAME_KEYS) || '',
+        quantity,
+        price: isNaN(price) ? undefined : price,
+        variationId: record.productVariationId ?? product.productVariationId
+    };
+}
+
+function findBasketItems(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 4) return null;
+
+    if (Array.isArray(value) && value.length > 0) {
+        const items = value.map(toBasketItem);
+        if (items.every(Boolean)) return items;
+    }
+
+    for (const child of Object.values(value)) {
+        const found = findBasketItems(child, depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+function readCurrentBasket() {
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!/cart|basket/i.test(key)) continue;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(localStorage.getItem(key));
+            } catch (e) {
+                continue;
+            }
+
+            const items = findBasketItems(parsed);
+            if (items?.length) {
+                Logger.debug(`🛒 Read ${items.length} basket items from "${key}"`);
+                return items;
+            }
+        }
+    } catch (error) {
+        Logger.warn('Basket read failed:', error);
+    }
+    return [];
+}
+
+function loadCartComparison(content) {
+    const items = readCurrentBasket();
+    if (items.length === 0) {
+        content.innerHTML = `
+            <div class="no-results-content">
+                <span class="no-results-icon">🛒</span>
+                <p>سبد خرید خالی است</p>
+                <small>پس از افزودن غذا به سبد، دوباره بروزرسانی کنید</small>
+            </div>
+        `;
+        return;
+    }
+
+    const isSnappFood = state.currentPageType.startsWith('snappfood');
+    content.innerHTML = '<div class="cart-loading">در حال مقایسه سبد خرید...</div>';
+
+    state.performanceMetrics.apiCalls++;
+    MessageClient.send("compareCart", {
+        sourcePlatform: isSnappFood ? "snappfood" : "tapsifood",
+        sfVendorCode: state.vendorInfo.sf_code,
+        tfVendorCode: state.vendorInfo.tf_code,
+        items
+    }, (response) => {
+        if (!response.success) {
+            content.innerHTML = '<div class="cart-loading">مقایسه سبد خرید ممکن نشد</div>';
+            return;
+        }
+        renderCartComparison(response.data, content, isSnappFood);
+    });
+}
+
+function renderCartComparison(cart, content, baseIsSf) {
+    const baseLabel = baseIsSf ? 'اسنپ‌فود' : 'تپسی‌فود';
+    const counterLabel = baseIsSf ? 'تپسی‌فود' : 'اسنپ‌فود';
+    const baseClass = baseIsSf ? 'sf' : 'tf';
+    const counterClass = baseIsSf ? 'tf' : 'sf';
+    const { base, counterpart, comparable } = cart.totals;
+
+    // A side without fee data would otherwise show zeros that look like free delivery
+    const costRows = (cost) => {
+        const fee = (value) => cost.feesKnown ? formatPrice(value) : 'نامشخص';
+        return `
+            <div class="cart-cost-row"><span>جمع اقلام</span><span>${formatPrice(cost.subtotal)}</span></div>
+            <div class="cart-cost-row"><span>ارسال</span><span>${fee(cost.deliveryFee)}</span></div>
+            <div class="cart-cost-row"><span>بسته‌بندی</span><span>${fee(cost.packagingFee)}</span></div>
+            <div class="cart-cost-row"><span>خدمات</span><span>${fee(cost.serviceFee)}</span></div>
+            <div class="cart-cost-row"><span>مالیات</span><span>${fee(cost.vat)}</span></div>
+            <div class="cart-cost-row total"><span>مبلغ نهایی</span><span>${cost.feesKnown ? `${formatPrice(cost.total)} تومان` : 'نامشخص'}</span></div>
+            ${cost.belowMinimum ? `<div class="cart-warning">کمتر از حداقل سفارش (${formatPrice(cost.minOrder)} تومان)</div>` : ''}
+        `;
+    };
+
+    const diffText = comparable.diff === 0 ? 'هزینه برابر برای اقلام مشترک' :
+        comparable.diff > 0 ?
+            `${formatPrice(Math.abs(comparable.diff))} تومان (${formatPercentage(comparable.percentDiff)}%) ارزان‌تر در ${counterLabel}` :
+            `${formatPrice(Math.abs(comparable.diff))} تومان (${formatPercentage(comparable.percentDiff)}%) گران‌تر در ${counterLabel}`;
+    const diffClass = comparable.diff > 0 ? 'savings' : comparable.diff < 0 ? 'expensive' : 'equal';
+
+    const lines = cart.lines.map(line => `
+        <li class="cart-line">
+            <span class="cart-line-name">${line.baseProduct.name} × ${formatNumber(line.quantity)}</span>
+            <span class="${baseClass}">${formatPrice(line.baseProduct.price * line.quantity)}</span>
+            <span class="${counterClass}">${formatPrice(line.counterpartProduct.price * line.quantity)}</span>
+        </li>
+    `).join('');
+
+    const unmapped = cart.unmapped.map(item => `
+        <li class="cart-line unmapped">
+            <span class="cart-line-name">${item.name} × ${formatNumber(item.quantity)}</span>
+            <span>${item.reason === 'unavailable' ? `ناموجود در ${counterLabel}` : 'بدون معادل'}</span>
+        </li>
+    `).join('');
+
+    content.innerHTML = `
+        <div class="price-comparison ${diffClass}">
+            <span class="comparison-badge">${diffText}</span>
+        </div>
+        ${comparable.subtotalOnly ? '<div class="cart-warning">هزینه‌های سفارش در یکی از سرویس‌ها مشخص نیست؛ مقایسه فقط بر اساس قیمت اقلام است</div>' : ''}
+        <div class="cart-totals">
+            <div class="cart-total-column">
+                <span class="platform-label ${baseClass}">${baseLabel}</span>
+                ${costRows(base)}
+            </div>
+            <div class="cart-total-column">
+                <span class="platform-label ${counterClass}">${counterLabel}</span>
+                ${costRows(counterpart)}
+            </div>
+        </div>
+        <ul class="cart-lines">${lines}</ul>
+        ${unmapped ? `<h5 class="cart-section-title">اقلام بدون معادل در ${counterLabel}</h5><ul class="cart-lines">${unmapped}</ul>` : ''}
+    `;
+}
+
+function setupWidgetPanels(container) {
+    const tabs = container.querySelectorAll('.widget-tab');
+    const panels = {
+        search: container.querySelector('#sp-vs-tp-search-panel'),
+        cart: container.querySelector('#sp-vs-tp-cart-panel'),
+        exclusive: container.querySelector('#sp-vs-tp-exclusive-panel')
+    };
+    const cartContent = container.querySelector('#sp-vs-tp-cart-content');
+    const exclusiveContent = container.querySelector('#sp-vs-tp-exclusive-content');
+
+    // Cart and exclusive-item panels need the vendor pair, which only menu pages have
+    if (!state.vendorInfo.sf_code || !state.vendorInfo.tf_code) return;
+    container.querySelector('#sp-vs-tp-widget-tabs').style.display = '';
+
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            tabs.forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+
+            Object.entries(panels).forEach(([name, panel]) => {
+                panel.style.display = name === tab.dataset.panel ? '' : 'none';
+            });
+
+            if (tab.dataset.panel === 'cart') loadCartComparison(cartContent);
+            if (tab.dataset.panel === 'exclusive') loadExclusiveItems(exclusiveContent);
+            trackAction('panel_change', { panel: tab.dataset.panel });
+        });
+    });
+
+    container.querySelector('#cart-refresh').addEventListener('click', () => loadCartComparison(cartContent));
+    container.querySelector('#exclusive-refresh').addEventListener('click', () => loadExclusiveItems(exclusiveContent));
+}
+
+// ===== EXCLUSIVE ITEMS =====
+// Items the vendor sells on only one platform, plus mapped items that one of
+// the live menus has dropped. The comparison view can't show either.
+const PLATFORM_NAMES = { snappfood: 'اسنپ‌فود', tapsifood: 'تپسی‌فود' };
+
+function loadExclusiveItems(content) {
+    const isSnappFood = state.currentPageType.startsWith('snappfood');
+    content.innerHTML = '<div class="cart-loading">در حال بررسی منوی دو سرویس...</div>';
+
+    state.performanceMetrics.apiCalls++;
+    MessageClient.send("getPlatformExclusiveItems", {
+        sourcePlatform: isSnappFood ? "snappfood" : "tapsifood",
+        sfVendorCode: state.vendorInfo.sf_code,
+        tfVendorCode: state.vendorInfo.tf_code
+    }, (response) => {
+        if (!response.success) {
+            Logger.warn(`Exclusive items unavailable (${MessageClient.describeError(response)})`);
+            content.innerHTML = '<div class="cart-loading">بررسی منوها ممکن نشد</div>';
+            return;
+        }
+        renderExclusiveItems(response.data, content);
+    });
+}
+
+function renderExclusiveItems(report, content) {
+    const group = (title, className, items, describe) => `
+        <div class="exclusive-group">
+            <h4 class="exclusive-group-title">
+                <span class="platform-label ${className}">${title}</span>
+                <span class="exclusive-count">${formatNumber(items.length)} محصول</span>
+            </h4>
+            ${items.length === 0 ? '<div class="exclusive-empty">موردی یافت نشد</div>' : `
+                <ul class="cart-lines">${items.map(item => `
+                    <li class="cart-line unmapped">
+                        <span class="cart-line-name">${item.name || `#${item.sfItemId ?? item.id}`}</span>
+                        <span>${describe(item)}</span>
+                    </li>
+                `).join('')}</ul>
+            `}
+        </div>
+    `;
+
+    const price = (item) => item.price ? `${formatPrice(item.price)} تومان` : '';
+    const missing = (item) => `ناموجود در ${item.missingOn.map(platform => PLATFORM_NAMES[platform]).join(' و ')}`;
+
+    content.innerHTML = `
+        <div class="exclusive-summary">
+            ${formatNumber(report.pairedCount)} محصول در هر دو سرویس قابل مقایسه است
+        </div>
+        ${group('فقط در اسنپ‌فود', 'sf', report.snappfoodOnly, price)}
+        ${group('فقط در تپسی‌فود', 'tf', report.tapsifoodOnly, price)}
+        ${group('نگاشت‌شده اما ناموجود در منو', 'missing', report.missingFromMenu, missing)}
+        ${report.mappingsError ? '<div class="cart-warning">فهرست کامل نگاشت‌ها در دسترس نبود؛ گروه سوم ممکن است ناقص باشد</div>' : ''}
+    `;
+}
+
+// ===== RESULT EXPORT =====
+function toExportRow(item, sourcePlatform) {
+    const isSf = sourcePlatform === 'snappfood';
+    const sf = isSf ? item.baseProduct : item.counterpartProduct;
+    const tf = isSf ? item.counterpartProduct : item.baseProduct;
+    const discountOf = (product) => product.discount ??
+        Math.max(0, (product.originalPrice || product.price) - product.price);
+
+    return {
+        source_platform: sourcePlatform,
+        sf_code: state.vendorInfo.sf_code,
+        tf_code: state.vendorInfo.tf_code,
+        sf_item_id: sf.id,
+        tf_item_id: tf.id,
+        sf_item_name: sf.name,
+        tf_item_name: tf.name,
+        sf_price: sf.price,
+        tf_price: tf.price,
+        sf_original_price: sf.originalPrice ?? sf.price,
+        tf_original_price: tf.originalPrice ?? tf.price,
+        sf_discount: discountOf(sf),
+        tf_discount: discountOf(tf),
+        price_diff: item.priceDiff,
+        percent_diff: item.percentDiff,
+        match_type: item.matchType || 'mapping',
+        variation: (item.counterpartProduct.variation || item.baseProduct.variation)?.name || ''
+    };
+}
+
+// Exports what the widget currently shows: filtered, sorted, before paging
+function exportResults(format) {
+    const hasProductData = Object.keys(state.comparisonData).length > 0;
+    if (!hasProductData) {
+        showToast('داده مقایسه‌ای برای خروجی وجود ندارد');
+        return;
+    }
+
+    // Recomputed from the comparisons: the on-screen list is capped and may hold vendor rows
+    const query = document.getElementById('sp-vs-tp-search-input')?.value.trim() || '';
+    const results = selectResults(query, Object.values(state.comparisonData), true);
+    if (results.length === 0) {
+        showToast('نتیجه‌ای با فیلتر فعلی برای خروجی وجود ندارد');
+        return;
+    }
+
+    const sourcePlatform = state.currentPageType.startsWith('snappfood') ? 'snappfood' : 'tapsifood';
+
+    MessageClient.send("exportComparison", {
+        format,
+        vendorInfo: state.vendorInfo,
+        rows: results.map(item => toExportRow(item, sourcePlatform))
+    }, (response) => {
+        if (!response.success) {
+            showToast('خطا در ایجاد فایل خروجی');
+            return;
+        }
+        showToast(`${formatNumber(results.length)} ردیف ذخیره شد`);
+        trackAction('export', { format, count: results.length });
+    });
 }
 
 function setupWidgetInteractions(container) {
@@ -1465,6 +2179,14 @@ function setupWidgetInteractions(container) {
         performAdvancedSearch(input.value.trim(), list, input);
     });
 
+    container.querySelector('#business-line-select').addEventListener('change', (e) => {
+        searchManager.businessLine = e.target.value;
+        trackAction('business_line_change', {
+            businessLine: searchManager.businessLine
+        });
+        loadWidgetVendors(searchManager.businessLine, () => performAdvancedSearch(input.value.trim(), list, input));
+    });
+
     closeBtn.addEventListener('click', () => {
         container.classList.remove('show');
         trackAction('widget_close');
@@ -1481,6 +2203,9 @@ function setupWidgetInteractions(container) {
         trackAction('settings_open');
     });
 
+    container.querySelector('#widget-export-csv').addEventListener('click', () => exportResults('csv'));
+    container.querySelector('#widget-export-json').addEventListener('click', () => exportResults('json'));
+
     input.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
             e.preventDefault();
@@ -1589,6 +2314,7 @@ function showSettingsModal() {
 
     modal.querySelector('#clear-favorites').addEventListener('click', () => {
         if (confirm('آیا مطمئن هستید که می‌خواهید تمام علاقه‌مندی‌ها را پاک کنید؟')) {
+            searchManager.unwatchAllFavorites();
             searchManager.favorites = [];
             searchManager.saveToStorage('spVsTpFavorites', searchManager.favorites);
             searchManager.updateStatsDisplay();
@@ -1628,6 +2354,9 @@ function showSettingsModal() {
 const processedProducts = new WeakMap();
 
 function injectSnappFoodComparisons() {
+    // Without comparison data every card would read as unpaired
+    if (state.comparisonStatus === 'failed') return;
+
     const productCards = state.domCache.get('section.ProductCard__Box-sc-1wfx2e0-0');
     Logger.debug(`🔄 Processing ${productCards.length} SnappFood products`);
 
@@ -1637,8 +2366,12 @@ function injectSnappFoodComparisons() {
         for (let i = startIndex; i < endIndex; i++) {
             const productCard = productCards[i];
             if (!processedProducts.has(productCard)) {
-                injectSnappFoodComparison(productCard);
-                processedProducts.set(productCard, true);
+                if (state.comparisonStatus === 'pending') {
+                    addComparisonPlaceholder(productCard);
+                } else {
+                    injectSnappFoodComparison(productCard);
+                    processedProducts.set(productCard, true);
+                }
             }
         }
 
@@ -1650,6 +2383,23 @@ function injectSnappFoodComparisons() {
     requestIdleCallback(() => processChunk(0));
 }
 
+// Shown while the comparison streams in; cards aren't marked processed until then
+function addComparisonPlaceholder(productCard) {
+    if (productCard.querySelector('.sp-vs-tp-comparison-text')) return;
+
+    const priceElement = productCard.querySelector('span.sc-hKgILt.hxREoh');
+    if (!priceElement) return;
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'sp-vs-tp-comparison-text sp-vs-tp-pending';
+    placeholder.textContent = 'در حال مقایسه با تپسی‌فود...';
+    priceElement.parentElement.insertBefore(placeholder, priceElement);
+}
+
+function removeComparisonPlaceholders() {
+    document.querySelectorAll('.sp-vs-tp-pending').forEach(el => el.remove());
+}
+
 function injectSnappFoodComparison(productCard) {
     const titleElement = productCard.querySelector('h2.sc-hKgILt.esHHju');
     if (!titleElement) return;
@@ -1659,24 +2409,33 @@ function injectSnappFoodComparison(productCard) {
     const matchedProduct = Object.values(state.comparisonData)
         .find(p => p.baseProduct.name.trim() === cardTitle);
 
+    const priceElement = productCard.querySelector('span.sc-hKgILt.hxREoh');
+
     if (!matchedProduct) {
         productCard.classList.add('sp-vs-tp-unpaired');
+
+        // Offer a manual link when the item is on this vendor's live menu
+        const baseItem = state.menus.base.find(item => item.name.trim() === cardTitle);
+        if (baseItem && priceElement && !productCard.querySelector('.sp-vs-tp-link-btn')) {
+            priceElement.parentElement.insertBefore(createLinkButton(baseItem, null), priceElement);
+        }
         return;
     }
 
     if (productCard.querySelector('.sp-vs-tp-comparison-text')) return;
 
-    const priceElement = productCard.querySelector('span.sc-hKgILt.hxREoh');
     if (!priceElement) return;
 
     const {
         text,
-        className
+        className,
+        title
     } = getComparisonText(matchedProduct);
 
     const comparisonDiv = document.createElement('div');
     comparisonDiv.className = `sp-vs-tp-comparison-text ${className}`;
     comparisonDiv.textContent = text;
+    if (title) comparisonDiv.title = title;
     comparisonDiv.style.fontFamily = "'IRANSansMobile', 'Vazirmatn', sans-serif";
 
     comparisonDiv.addEventListener('click', (e) => {
@@ -1689,31 +2448,235 @@ function injectSnappFoodComparison(productCard) {
         passive: false
     });
 
+    comparisonDiv.appendChild(createLinkButton(matchedProduct.baseProduct, matchedProduct));
+
     productCard.classList.add(className);
     priceElement.parentElement.insertBefore(comparisonDiv, priceElement);
 }
 
-function getComparisonText(data) {
-    const absDiff = new Intl.NumberFormat('fa-IR').format(Math.abs(data.priceDiff));
+// Multi-size TapsiFood products are compared per variation; name the one used
+function getVariationLabel(data) {
+    const variation = data.counterpartProduct?.variation || data.baseProduct?.variation;
+    if (!variation?.name) return '';
+
+    return variation.matchedBy === 'default' ?
+        `سایز ${variation.name} (پیش‌فرض)` :
+        `سایز ${variation.name}`;
+}
+
+function formatCostBreakdown(cost) {
+    const parts = [`قیمت ${formatPrice(cost.subtotal)}`];
+    if (cost.deliveryFee) parts.push(`ارسال ${formatPrice(cost.deliveryFee)}`);
+    if (cost.packagingFee) parts.push(`بسته‌بندی ${formatPrice(cost.packagingFee)}`);
+    if (cost.serviceFee) parts.push(`خدمات ${formatPrice(cost.serviceFee)}`);
+    if (cost.vat) parts.push(`مالیات ${formatPrice(cost.vat)}`);
+
+    let text = `${parts.join(' + ')} = ${formatPrice(cost.total)} تومان`;
+    if (cost.belowMinimum) {
+        text += ` (حداقل سفارش ${formatPrice(cost.minOrder)} تومان)`;
+    }
+    return text;
+}
 
-    if (data.priceDiff === 0) {
+// Compares what actually gets paid (item + fees) when the fees are known
+function getComparisonText(data) {
+    const cost = data.orderCost;
+    const diff = cost ? cost.diff : data.priceDiff;
+    const percentDiff = cost ? cost.percentDiff : data.percentDiff;
+    const absDiff = new Intl.NumberFormat('fa-IR').format(Math.abs(diff));
+    const basis = cost ? ' با احتساب هزینه‌ها' : '';
+
+    const variationLabel = getVariationLabel(data);
+    const notes = [];
+    if (data.isEstimated) notes.push(`تخمینی: ${data.counterpartProduct.name}`);
+    if (variationLabel) notes.push(variationLabel);
+    if (cost?.counterpart.belowMinimum) notes.push('کمتر از حداقل سفارش تپسی‌فود');
+    const suffix = notes.length ? ` - ${notes.join('، ')}` : '';
+
+    const title = cost ?
+        `اسنپ‌فود: ${formatCostBreakdown(cost.base)}\nتپسی‌فود: ${formatCostBreakdown(cost.counterpart)}` : '';
+
+    // Name-matched pairs the matcher isn't sure about read as approximate
+    const prefix = data.isEstimated ? '≈ ' : '';
+
+    if (diff === 0) {
         return {
-            text: 'سفارش از تپسی‌فود (پیک رایگان)',
-            className: 'sp-vs-tp-same-price'
+            text: `${prefix}هزینه برابر در تپسی‌فود${basis}${suffix}`,
+            className: 'sp-vs-tp-same-price',
+            title
         };
-    } else if (data.priceDiff > 0) {
+    } else if (diff > 0) {
         return {
-            text: `${data.percentDiff}% ارزان‌تر در تپسی‌فود (${absDiff} تومان کمتر)`,
-            className: 'sp-vs-tp-cheaper'
+            text: `${prefix}${percentDiff}% ارزان‌تر در تپسی‌فود${basis} (${absDiff} تومان کمتر)${suffix}`,
+            className: 'sp-vs-tp-cheaper',
+            title
         };
     } else {
         return {
-            text: `${data.percentDiff}% گران‌تر در تپسی‌فود (${absDiff} تومان بیشتر)`,
-            className: 'sp-vs-tp-expensive'
+            text: `${prefix}${percentDiff}% گران‌تر در تپسی‌فود${basis} (${absDiff} تومان بیشتر)${suffix}`,
+            className: 'sp-vs-tp-expensive',
+            title
         };
     }
 }
 
+// ===== MANUAL ITEM LINKS =====
+function getOverrideFor(baseId) {
+    const baseKey = state.currentPageType.startsWith('snappfood') ? 'sfItemId' : 'tfItemId';
+    const id = String(baseId);
+    const overrides = state.itemOverrides || {};
+
+    if ((overrides.links || []).some(link => link[baseKey] === id)) return 'link';
+    if ((overrides.unlinks || []).some(unlink => unlink[baseKey] === id)) return 'unlink';
+    return null;
+}
+
+function sendItemOverride(type, baseItem, counterpartItem = null) {
+    MessageClient.send("setItemOverride", {
+        type,
+        vendorInfo: state.vendorInfo,
+        sourcePlatform: state.currentPageType.startsWith('snappfood') ? 'snappfood' : 'tapsifood',
+        baseItem: { id: baseItem.id, name: baseItem.name },
+        counterpartItem: counterpartItem && { id: counterpartItem.id, name: counterpartItem.name }
+    }, (response) => {
+        if (!response.success) {
+            showToast('ذخیره پیوند ممکن نشد');
+            return;
+        }
+
+        state.itemOverrides = response.overrides;
+        showToast(type === 'link' ? 'پیوند ذخیره شد' : type === 'unlink' ? 'پیوند حذف شد' : 'پیوند به حالت پیش‌فرض برگشت');
+        refreshComparisons();
+    });
+}
+
+function showLinkPicker(baseItem, comparison = null) {
+    document.querySelector('.settings-modal.link-picker')?.remove();
+
+    const counterLabel = state.currentPageType.startsWith('snappfood') ? 'تپسی‌فود' : 'اسنپ‌فود';
+    const override = getOverrideFor(baseItem.id);
+
+    const modal = document.createElement('div');
+    modal.className = 'settings-modal link-picker';
+    modal.innerHTML = `
+        <div class="settings-content">
+            <div class="settings-header">
+                <h3>پیوند دستی محصول</h3>
+                <button class="settings-close">×</button>
+            </div>
+            <div class="settings-body">
+                <div class="setting-group">
+                    <h4></h4>
+                    <p class="link-current"></p>
+                    <div class="settings-actions">
+                        ${comparison ? '<button class="setting-btn danger" id="link-unlink">این دو محصول یکسان نیستند</button>' : ''}
+                        ${override ? '<button class="setting-btn" id="link-reset">بازگشت به پیوند پیش‌فرض</button>' : ''}
+                    </div>
+                </div>
+                <div class="setting-group">
+                    <h4>انتخاب معادل در ${counterLabel}</h4>
+                    <input class="link-search" placeholder="جستجوی نام محصول..." />
+                    <ul class="link-candidates"></ul>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // Product names come from the page, so keep them out of innerHTML
+    modal.querySelector('.setting-group h4').textContent = baseItem.name;
+    modal.querySelector('.link-current').textContent = comparison ?
+        `معادل فعلی: ${comparison.counterpartProduct.name} (${formatPrice(comparison.counterpartProduct.price)} تومان)` :
+        `معادلی در ${counterLabel} ثبت نشده است`;
+
+    const list = modal.querySelector('.link-candidates');
+    const renderCandidates = (query) => {
+        const normalized = query.trim();
+        list.innerHTML = '';
+        (state.menus.counterpart || [])
+            .filter(item => !normalized || item.name.includes(normalized))
+            .slice(0, 50)
+            .forEach(item => {
+                const li = document.createElement('li');
+                li.className = 'link-candidate';
+                li.textContent = `${item.name} - ${formatPrice(item.price)} تومان`;
+                li.addEventListener('click', () => {
+                    sendItemOverride('link', baseItem, item);
+                    modal.remove();
+                });
+                list.appendChild(li);
+            });
+    };
+    renderCandidates('');
+
+    modal.querySelector('.link-search').addEventListener('input', (e) => renderCandidates(e.target.value));
+    modal.querySelector('#link-unlink')?.addEventListener('click', () => {
+        sendItemOverride('unlink', baseItem, comparison.counterpartProduct);
+        modal.remove();
+    });
+    modal.querySelector('#link-reset')?.addEventListener('click', () => {
+        sendItemOverride('clear', baseItem);
+        modal.remove();
+    });
+
+    modal.querySelector('.settings-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.remove();
+    });
+
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add('show'));
+}
+
+// Re-runs the comparison after a link change and redraws cards and results
+function refreshComparisons() {
+    const isSnappFood = state.currentPageType.startsWith('snappfood');
+
+    MessageClient.send("fetchPrices", {
+        sourcePlatform: isSnappFood ? "snappfood" : "tapsifood",
+        sfVendorCode: state.vendorInfo.sf_code,
+        tfVendorCode: state.vendorInfo.tf_code
+    }, (response) => {
+        if (!response.success) {
+            Logger.warn('Failed to refresh comparisons:', MessageClient.describeError(response));
+            return;
+        }
+
+        state.comparisonData = response.data;
+        state.itemOverrides = response.itemOverrides || {};
+        state.menus = response.menus || { base: [], counterpart: [] };
+
+        document.querySelectorAll('.sp-vs-tp-comparison-text, .sp-vs-tp-link-btn').forEach(el => el.remove());
+        document.querySelectorAll('section.ProductCard__Box-sc-1wfx2e0-0').forEach(card => {
+            card.classList.remove('sp-vs-tp-unpaired', 'sp-vs-tp-cheaper', 'sp-vs-tp-expensive', 'sp-vs-tp-same-price');
+            processedProducts.delete(card);
+        });
+        state.domCache.clear();
+        injectSnappFoodComparisons();
+
+        const input = document.getElementById('sp-vs-tp-search-input');
+        const list = document.getElementById('sp-vs-tp-search-results');
+        if (input && list) {
+            state.searchCache.clear();
+            performAdvancedSearch(input.value.trim(), list, input);
+        }
+    });
+}
+
+function createLinkButton(baseItem, comparison) {
+    const button = document.createElement('button');
+    button.className = 'sp-vs-tp-link-btn';
+    button.textContent = '🔗';
+    button.title = comparison ? 'ویرایش پیوند محصول' : 'پیوند دستی با تپسی‌فود';
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        showLinkPicker(baseItem, comparison);
+    }, {
+        passive: false
+    });
+    return button;
+}
+
 // ===== OPTIMIZED VENDOR PROCESSING WITH CHUNKING =====
 function processVendorElements() {
     const startTime = performance.now();
@@ -1801,6 +2764,55 @@ function processVendorElements() {
     requestIdleCallback(() => processChunk(Array.from(restaurantLinks), 0));
 }
 
+// Undoes highlightVendor() on one container so it can be processed again
+function clearVendorHighlight(container) {
+    container.querySelectorAll(VENDOR_BADGE_SELECTORS.join(', ')).forEach(el => el.remove());
+
+    const classSelector = VENDOR_HIGHLIGHT_CLASSES.map(cls => `.${cls}`).join(', ');
+    [container, ...container.querySelectorAll(classSelector)].forEach(el => {
+        el.classList.remove(...VENDOR_HIGHLIGHT_CLASSES);
+    });
+    state.processedElements.delete(container);
+}
+
+// Re-reads the vendor list and re-highlights only vendors whose pairing changed
+function refreshPairedVendors() {
+    MessageClient.send("getVendorList", getVendorListPayload(state.businessLine), (response) => {
+        if (!response.success || !response.vendors) return;
+
+        const paired = new Set();
+        response.vendors.forEach(vendor => {
+            const vendorMapping = getVendorMapping(vendor);
+            if (vendorMapping && vendorMapping.sf_code) paired.add(vendorMapping.sf_code);
+        });
+
+        const changed = new Set([
+            ...[...paired].filter(code => !state.pairedVendors.has(code)),
+            ...[...state.pairedVendors].filter(code => !paired.has(code))
+        ]);
+
+        state.businessLines = response.businessLines || [];
+        renderBusinessLineOptions(document.getElementById('business-line-select'));
+        state.pairedVendors = paired;
+        if (searchManager.businessLine === (state.businessLine || 'all')) {
+            state.vendorList = response.vendors;
+            state.searchCache.clear();
+        } else {
+            loadWidgetVendors(searchManager.businessLine);
+        }
+        if (changed.size === 0) return;
+
+        document.querySelectorAll('a[href*="/restaurant/menu/"]').forEach(link => {
+            if (changed.has(extractVendorCodeFromUrl(link.href, 'snappfood'))) {
+                clearVendorHighlight(findBestContainer(link));
+            }
+        });
+
+        Logger.info(`🔄 Vendor pairings changed for ${changed.size} vendors`);
+        processVendorElements();
+    });
+}
+
 const containerCache = new WeakMap();
 
 function findBestContainer(link) {
@@ -1961,38 +2973,120 @@ function initSnappFoodMenu() {
 
     state.performanceMetrics.apiCalls++;
     const msg = {
-        action: "fetchPrices",
         sourcePlatform: isSnappFood ? "snappfood" : "tapsifood"
     };
     if (isSnappFood) msg.sfVendorCode = vendorCode;
     else msg.tfVendorCode = vendorCode;
 
-    chrome.runtime.sendMessage(msg, (response) => {
-        if (chrome.runtime.lastError || !response?.success) return;
+    const detectedLocation = detectPlatformLocation();
+    if (detectedLocation) msg.detectedLocation = detectedLocation;
+
+    // Placeholders go up right away; the widget follows the vendor stage and
+    // badges replace the placeholders once the comparisons arrive
+    state.comparisonStatus = 'pending';
+    injectSnappFoodComparisons();
+    const observer = setupOptimizedObserver(debouncedProcessProducts, ['section[class*="ProductCard"]']);
+
+    state.comparisonStream = MessageClient.stream("fetchPrices", msg, (message) => {
+        switch (message.stage) {
+            case 'vendor':
+                state.vendorInfo = message.vendorInfo || {};
+                createSearchWidget();
+                updateSearchStatus('در حال دریافت منوها...', true);
+                Logger.performance(`Vendor resolved in ${(performance.now() - startTime).toFixed(2)}ms`);
+                break;
+
+            case 'snappfood':
+            case 'tapsifood':
+                applyMenuStage(message, isSnappFood);
+                break;
+
+            case 'comparisons': {
+                state.comparisonStream = null;
+                applyComparisonStage(message, msg.sourcePlatform);
+
+                const initTime = performance.now() - startTime;
+                state.performanceMetrics.initTime = initTime;
+                Logger.performance(`✅ SnappFood initialization completed in ${initTime.toFixed(2)}ms`);
+                break;
+            }
 
-        state.comparisonData = response.data;
-        state.vendorInfo = response.vendorInfo || {};
+            case 'error':
+                state.comparisonStream = null;
+                state.comparisonStatus = 'failed';
+                observer.disconnect();
+                removeComparisonPlaceholders();
+                updateSearchStatus('مقایسه قیمت در دسترس نیست');
+                Logger.warn(`SnappFood menu comparison unavailable (${MessageClient.describeError(message)})`);
+                break;
+        }
+    });
+}
 
-        createSearchWidget();
+// A platform's menu landed: its fees and item list are usable before the comparison
+function applyMenuStage(message, isSnappFood) {
+    const isBase = (message.stage === 'snappfood') === isSnappFood;
 
-        injectSnappFoodComparisons();
-        setupOptimizedObserver(debouncedProcessProducts, ['section[class*="ProductCard"]']);
+    state.vendorFees[message.stage] = message.fees;
+    state.menus[isBase ? 'base' : 'counterpart'] = message.products || [];
+    renderVendorFees(document.getElementById('sp-vs-tp-vendor-fees'));
+}
 
-        const initTime = performance.now() - startTime;
-        state.performanceMetrics.initTime = initTime;
-        Logger.performance(`✅ SnappFood initialization completed in ${initTime.toFixed(2)}ms`);
-    });
+function applyComparisonStage(response, sourcePlatform) {
+    state.comparisonData = response.data;
+    state.vendorInfo = response.vendorInfo || {};
+    state.vendorFees = response.vendorFees || {};
+    state.itemOverrides = response.itemOverrides || {};
+    state.menus = response.menus || { base: [], counterpart: [] };
+    state.comparisonStatus = 'ready';
+    loadPriceHistory(sourcePlatform);
+    searchManager.reconcileFavoriteWatches(Object.values(state.comparisonData));
+
+    createSearchWidget();
+    renderVendorFees(document.getElementById('sp-vs-tp-vendor-fees'));
+    updateSearchStatus('آماده جستجو');
+
+    removeComparisonPlaceholders();
+    injectSnappFoodComparisons();
+
+    const input = document.getElementById('sp-vs-tp-search-input');
+    const list = document.getElementById('sp-vs-tp-search-results');
+    if (input && list && input.value.trim()) {
+        state.searchCache.clear();
+        performAdvancedSearch(input.value.trim(), list, input);
+    }
 }
 
 function initVendorHighlighting() {
     Logger.info('🏠 Optimized vendor highlighting initialization');
     const startTime = performance.now();
 
+    const detectedLocation = detectPlatformLocation();
+    if (detectedLocation) {
+        MessageClient.send("reportDetectedLocation", {
+            location: detectedLocation,
+            platform: window.location.href.includes('snappfood.ir') ? 'snappfood' : 'tapsifood'
+        });
+    }
+
+    // Service pages only highlight vendors of their own business line
+    state.businessLine = detectPageType() === 'snappfood-service' ? getServiceBusinessLine() : null;
+    searchManager.businessLine = state.businessLine || 'all';
+
     state.performanceMetrics.apiCalls++;
-    chrome.runtime.sendMessage({
-        action: "getVendorList"
-    }, (response) => {
-        if (chrome.runtime.lastError || !response?.success) return;
+    MessageClient.send("getVendorList", getVendorListPayload(state.businessLine), (response) => {
+        if (!response.success) {
+            Logger.warn(`Vendor list unavailable, skipping highlighting (${MessageClient.describeError(response)})`);
+            return;
+        }
+
+        // The background ignores the line when the mapping data has none
+        if (state.businessLine && !response.businessLine) {
+            Logger.info(`No business lines in mapping data, highlighting all vendors on ${state.businessLine} page`);
+            state.businessLine = null;
+            searchManager.businessLine = 'all';
+        }
+        state.businessLines = response.businessLines || [];
 
         if (response.vendors?.length) {
             state.vendorList = response.vendors;
@@ -2016,6 +3110,23 @@ function initVendorHighlighting() {
     });
 }
 
+// ===== BACKGROUND UPDATES =====
+// The background serves expired mapping data while it refreshes it, then tells
+// open tabs when the refresh changed something
+chrome.runtime.onMessage.addListener((message) => {
+    if (message?.action === 'vendorDataUpdated') {
+        const codeKey = message.platform === 'snappfood' ? 'sf_code' : 'tf_code';
+        if (state.comparisonStatus === 'ready' && String(state.vendorInfo[codeKey]) === String(message.vendorCode)) {
+            Logger.info('🔄 Vendor mapping refreshed, updating comparisons');
+            refreshComparisons();
+        }
+    } else if (message?.action === 'vendorListUpdated') {
+        if (state.vendorList.length > 0) {
+            refreshPairedVendors();
+        }
+    }
+});
+
 const throttledNavigationCheck = throttle(() => {
     const currentUrl = window.location.href;
     if (currentUrl !== state.lastUrl) {
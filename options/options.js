@@ -0,0 +1,542 @@
+// Options page - backend configuration, connection testing, offline mapping data, delivery addresses,
+// price alerts, manual item links and recorded API fixtures
+console.log("⚙️ مقایسه‌گر قیمت غذا - صفحه تنظیمات باز شد");
+
+// ===== OPTIMIZED LOGGING SYSTEM =====
+const Logger = {
+    debug: () => {},
+    warn: console.warn, // Always show warnings
+    error: console.error // Always show errors
+};
+
+let settingsDefaults = {};
+let savedAddresses = [];
+let detectedLocation = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadSettings();
+    setupBackendSection();
+    setupDataSourceSection();
+    loadDataSourceStatus();
+    setupLocationSection();
+    loadLocationStatus();
+    setupAlertsSection();
+    setupOverridesSection();
+    loadOverridesStatus();
+    setupFixturesSection();
+    loadFixturesStatus();
+});
+
+function loadSettings() {
+    MessageClient.send("getSettings", {}, (response) => {
+        if (!response.success) {
+            Logger.error("🔴 Failed to load settings:", MessageClient.describeError(response));
+            showResult('error', 'خطا در بارگذاری تنظیمات');
+            return;
+        }
+
+        settingsDefaults = response.defaults || {};
+        document.getElementById('api-base-url').value = response.settings.apiBaseUrl || '';
+        document.getElementById('data-source').value = response.settings.dataSource;
+        document.getElementById('offline-fallback').checked = response.settings.offlineFallback;
+        document.getElementById('price-alerts').checked = response.settings.priceAlerts;
+        document.getElementById('alert-threshold').value = response.settings.alertThreshold;
+        document.getElementById('fixture-mode').value = response.settings.fixtureMode;
+    });
+}
+
+function updateSetting(key, value, onSaved) {
+    MessageClient.send("updateSettings", { settings: { [key]: value } }, (response) => {
+        if (!response.success) {
+            Logger.warn(`⚠️ Could not save ${key}:`, MessageClient.describeError(response));
+            return;
+        }
+        if (onSaved) onSaved(response.settings);
+    });
+}
+
+function setupBackendSection() {
+    const input = document.getElementById('api-base-url');
+
+    document.getElementById('save-backend').addEventListener('click', () => {
+        saveBackendUrl(input.value);
+    });
+
+    document.getElementById('reset-backend').addEventListener('click', () => {
+        input.value = settingsDefaults.apiBaseUrl || '';
+        saveBackendUrl(input.value);
+    });
+
+    document.getElementById('test-connection').addEventListener('click', (e) => {
+        testConnection(input.value, e.currentTarget);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveBackendUrl(input.value);
+        }
+    });
+}
+
+async function saveBackendUrl(value) {
+    // Hosts other than the bundled default need an explicit host grant,
+    // and the prompt is only allowed while handling the click
+    const granted = await requestHostPermission(value);
+
+    MessageClient.send("updateSettings", {
+        settings: { apiBaseUrl: value }
+    }, (response) => {
+        if (!response.success) {
+            Logger.warn("⚠️ Could not save backend URL:", MessageClient.describeError(response));
+            showResult('error', 'آدرس وارد شده معتبر نیست (باید با http:// یا https:// شروع شود)');
+            return;
+        }
+
+        document.getElementById('api-base-url').value = response.settings.apiBaseUrl;
+        showResult(granted ? 'success' : 'info', granted ?
+            'آدرس سرور ذخیره شد و کش‌ها پاک شدند' :
+            'آدرس ذخیره شد، اما دسترسی به این میزبان تأیید نشد؛ در صورت خطا تست اتصال را بررسی کنید');
+    });
+}
+
+async function requestHostPermission(value) {
+    let origin;
+    try {
+        origin = new URL(value.trim()).origin;
+    } catch (error) {
+        return false;
+    }
+
+    try {
+        return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+        Logger.warn("⚠️ Host permission request failed:", error);
+        return false;
+    }
+}
+
+function testConnection(value, button) {
+    button.disabled = true;
+    showResult('info', 'در حال تست اتصال...');
+
+    MessageClient.send("testConnection", { apiBaseUrl: value }, (response) => {
+        button.disabled = false;
+
+        if (response.code === MESSAGE_ERRORS.TRANSPORT_ERROR) {
+            showResult('error', 'خطا در ارتباط با افزونه');
+            return;
+        }
+
+        if (!response.apiBaseUrl) {
+            showResult('error', 'آدرس وارد شده معتبر نیست');
+            return;
+        }
+
+        const stats = response.stats?.success ? response.stats.data : null;
+        const lines = [
+            `${response.health?.success ? '✅' : '❌'} /health ${formatResponseTime(response.health)}`,
+            `${response.stats?.success ? '✅' : '❌'} /stats ${formatResponseTime(response.stats)}`
+        ];
+
+        if (stats) {
+            lines.push(`${(stats.total_vendors || 0).toLocaleString('fa-IR')} رستوران، ${(stats.total_items || 0).toLocaleString('fa-IR')} محصول`);
+        }
+
+        const failure = [response.health, response.stats].find(result => result && !result.success);
+        if (failure) {
+            lines.push(failure.error);
+        }
+
+        showResult(response.success ? 'success' : 'error', response.apiBaseUrl, lines);
+    });
+}
+
+function setupDataSourceSection() {
+    document.getElementById('data-source').addEventListener('change', (e) => {
+        updateSetting('dataSource', e.target.value, loadDataSourceStatus);
+    });
+
+    document.getElementById('offline-fallback').addEventListener('change', (e) => {
+        updateSetting('offlineFallback', e.target.checked, loadDataSourceStatus);
+    });
+
+    document.getElementById('import-offline').addEventListener('click', importOfflineFiles);
+
+    document.getElementById('clear-offline').addEventListener('click', () => {
+        if (!confirm('داده آفلاین واردشده حذف شود؟')) return;
+
+        MessageClient.send("clearOfflineData", {}, (response) => {
+            if (!response.success) {
+                setOfflineStatus('خطا در حذف داده آفلاین');
+                return;
+            }
+            loadDataSourceStatus();
+        });
+    });
+}
+
+async function importOfflineFiles() {
+    const vendorsFile = document.getElementById('vendors-file').files[0];
+    const itemsFile = document.getElementById('items-file').files[0];
+
+    if (!vendorsFile) {
+        setOfflineStatus('لطفاً ابتدا فایل رستوران‌ها را انتخاب کنید');
+        return;
+    }
+
+    setOfflineStatus('در حال وارد کردن...');
+
+    const message = {
+        vendors: { name: vendorsFile.name, text: await vendorsFile.text() }
+    };
+    if (itemsFile) {
+        message.items = { name: itemsFile.name, text: await itemsFile.text() };
+    }
+
+    MessageClient.send("importOfflineData", message, (response) => {
+        if (!response.success) {
+            Logger.warn("⚠️ Offline import failed:", MessageClient.describeError(response));
+            setOfflineStatus(`خطا در وارد کردن فایل‌ها: ${response.error || 'نامشخص'}`);
+            return;
+        }
+        loadDataSourceStatus();
+    });
+}
+
+function loadDataSourceStatus() {
+    MessageClient.send("getDataSourceStatus", {}, (response) => {
+        if (!response.success) {
+            setOfflineStatus('وضعیت داده آفلاین در دسترس نیست');
+            return;
+        }
+
+        const { active, offline } = response.data;
+        const activeLabel = active === 'offline' ? 'فایل‌های آفلاین' : 'سرور API';
+
+        if (!offline.available) {
+            setOfflineStatus(`منبع فعال: ${activeLabel} — داده آفلاین موجود نیست`);
+            return;
+        }
+
+        const originLabel = offline.origin === 'imported' ? 'واردشده' : 'همراه افزونه';
+        setOfflineStatus(
+            `منبع فعال: ${activeLabel} — داده آفلاین ${originLabel}: ` +
+            `${offline.vendorCount.toLocaleString('fa-IR')} رستوران، ${offline.itemCount.toLocaleString('fa-IR')} نگاشت محصول` +
+            (offline.fileNames.length ? ` (${offline.fileNames.join('، ')})` : '')
+        );
+    });
+}
+
+function setOfflineStatus(text) {
+    document.getElementById('offline-status').textContent = text;
+}
+
+function setupLocationSection() {
+    document.getElementById('active-location').addEventListener('change', (e) => {
+        updateSetting('activeLocation', e.target.value, loadLocationStatus);
+    });
+
+    document.getElementById('add-address').addEventListener('click', () => {
+        const label = document.getElementById('address-label').value.trim();
+        const lat = parseFloat(document.getElementById('address-lat').value);
+        const lng = parseFloat(document.getElementById('address-lng').value);
+
+        if (isNaN(lat) || isNaN(lng)) {
+            setLocationStatus('لطفاً مختصات معتبر وارد کنید');
+            return;
+        }
+
+        saveAddress({ label, lat, lng });
+    });
+
+    document.getElementById('save-detected-address').addEventListener('click', () => {
+        if (!detectedLocation) return;
+        saveAddress({
+            label: detectedLocation.label || 'آدرس شناسایی‌شده',
+            lat: detectedLocation.lat,
+            lng: detectedLocation.lng
+        });
+    });
+}
+
+function saveAddress(address) {
+    const id = `address-${Date.now()}`;
+    const addresses = [...savedAddresses, { id, ...address }];
+
+    updateSetting('savedAddresses', addresses, () => {
+        document.getElementById('address-label').value = '';
+        document.getElementById('address-lat').value = '';
+        document.getElementById('address-lng').value = '';
+        // Newly added addresses become active straight away
+        updateSetting('activeLocation', id, loadLocationStatus);
+    });
+}
+
+function removeAddress(id) {
+    const addresses = savedAddresses.filter(address => address.id !== id);
+
+    updateSetting('savedAddresses', addresses, (settings) => {
+        if (settings.activeLocation === id) {
+            updateSetting('activeLocation', 'auto', loadLocationStatus);
+        } else {
+            loadLocationStatus();
+        }
+    });
+}
+
+function loadLocationStatus() {
+    MessageClient.send("getLocationStatus", {}, (response) => {
+        if (!response.success) {
+            setLocationStatus('وضعیت آدرس در دسترس نیست');
+            return;
+        }
+
+        const { activeLocation, resolved, detected } = response.data;
+        savedAddresses = response.data.savedAddresses || [];
+        detectedLocation = detected;
+
+        renderAddresses(activeLocation);
+        document.getElementById('save-detected-address').hidden = !detected;
+
+        if (!resolved) {
+            setLocationStatus('آدرسی شناسایی نشده — از مرکز تهران استفاده می‌شود');
+        } else {
+            const sourceLabel = resolved.source === 'saved' ? 'آدرس ذخیره‌شده' : 'شناسایی‌شده از سایت';
+            setLocationStatus(`${sourceLabel}: ${resolved.label || formatCoords(resolved)}`);
+        }
+    });
+}
+
+function renderAddresses(activeLocation) {
+    const select = document.getElementById('active-location');
+    select.querySelectorAll('option:not([value="auto"])').forEach(option => option.remove());
+
+    const list = document.getElementById('address-list');
+    list.textContent = '';
+
+    savedAddresses.forEach(address => {
+        const option = document.createElement('option');
+        option.value = address.id;
+        option.textContent = address.label;
+        select.appendChild(option);
+
+        const li = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = address.label + ' ';
+        const coords = document.createElement('span');
+        coords.className = 'coords';
+        coords.dir = 'ltr';
+        coords.textContent = formatCoords(address);
+        text.appendChild(coords);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn';
+        remove.textContent = 'حذف';
+        remove.addEventListener('click', () => removeAddress(address.id));
+
+        li.append(text, remove);
+        list.appendChild(li);
+    });
+
+    select.value = savedAddresses.some(a => a.id === activeLocation) ? activeLocation : 'auto';
+}
+
+function setLocationStatus(text) {
+    document.getElementById('location-status').textContent = text;
+}
+
+function formatCoords(location) {
+    return `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`;
+}
+
+function setupAlertsSection() {
+    document.getElementById('price-alerts').addEventListener('change', (e) => {
+        updateSetting('priceAlerts', e.target.checked);
+    });
+
+    const thresholdInput = document.getElementById('alert-threshold');
+    thresholdInput.addEventListener('change', () => {
+        const threshold = Math.min(100, Math.max(1, parseInt(thresholdInput.value) || settingsDefaults.alertThreshold || 10));
+        updateSetting('alertThreshold', threshold, (settings) => {
+            thresholdInput.value = settings.alertThreshold;
+        });
+    });
+}
+
+function setupOverridesSection() {
+    document.getElementById('export-overrides-json').addEventListener('click', () => {
+        exportOverrides((data) => downloadFile(
+            `item-overrides-${formatFileDate()}.json`,
+            JSON.stringify(data, null, 2),
+            'application/json'
+        ));
+    });
+
+    document.getElementById('export-overrides-csv').addEventListener('click', () => {
+        exportOverrides((data) => {
+            const columns = ['action', 'sf_code', 'tf_code', 'sf_item_id', 'tf_item_id', 'sf_item_name', 'tf_item_name'];
+            const rows = [
+                ...data.links.map(row => ({ action: 'link', ...row })),
+                ...data.unlinks.map(row => ({ action: 'unlink', ...row }))
+            ];
+            const csv = [columns.join(','), ...rows.map(row => columns.map(col => toCsvField(row[col])).join(','))].join('\n');
+            // BOM so spreadsheet apps read the Persian names as UTF-8
+            downloadFile(`item-overrides-${formatFileDate()}.csv`, '\uFEFF' + csv, 'text/csv');
+        });
+    });
+
+    document.getElementById('clear-overrides').addEventListener('click', () => {
+        if (!confirm('همه پیوندهای دستی حذف شوند؟')) return;
+
+        MessageClient.send("clearItemOverrides", {}, (response) => {
+            if (!response.success) {
+                setOverridesStatus('خطا در حذف پیوندها');
+                return;
+            }
+            loadOverridesStatus();
+        });
+    });
+}
+
+function exportOverrides(onData) {
+    MessageClient.send("exportItemOverrides", {}, (response) => {
+        if (!response.success) {
+            setOverridesStatus('خطا در دریافت پیوندها');
+            return;
+        }
+        onData(response.data);
+    });
+}
+
+function loadOverridesStatus() {
+    exportOverrides((data) => {
+        setOverridesStatus(
+            `${data.links.length.toLocaleString('fa-IR')} پیوند دستی، ` +
+            `${data.unlinks.length.toLocaleString('fa-IR')} پیوند حذف‌شده`
+        );
+    });
+}
+
+function setOverridesStatus(text) {
+    document.getElementById('overrides-status').textContent = text;
+}
+
+function setupFixturesSection() {
+    document.getElementById('fixture-mode').addEventListener('change', (e) => {
+        updateSetting('fixtureMode', e.target.value, loadFixturesStatus);
+    });
+
+    document.getElementById('import-fixtures').addEventListener('click', importFixtures);
+
+    document.getElementById('export-fixtures').addEventListener('click', () => {
+        MessageClient.send("exportFixtures", {}, (response) => {
+            if (!response.success) {
+                setFixturesStatus('خطا در دریافت پاسخ‌های ضبط‌شده');
+                return;
+            }
+            downloadFile(`api-fixtures-${formatFileDate()}.json`, JSON.stringify(response.data), 'application/json');
+        });
+    });
+
+    document.getElementById('clear-fixtures').addEventListener('click', () => {
+        if (!confirm('همه پاسخ‌های ضبط‌شده حذف شوند؟')) return;
+
+        MessageClient.send("clearFixtures", {}, (response) => {
+            if (!response.success) {
+                setFixturesStatus('خطا در حذف پاسخ‌های ضبط‌شده');
+                return;
+            }
+            loadFixturesStatus();
+        });
+    });
+}
+
+async function importFixtures() {
+    const file = document.getElementById('fixtures-file').files[0];
+    if (!file) {
+        setFixturesStatus('لطفاً ابتدا فایل بسته پاسخ‌ها را انتخاب کنید');
+        return;
+    }
+
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (error) {
+        setFixturesStatus('فایل انتخاب‌شده JSON معتبر نیست');
+        return;
+    }
+
+    setFixturesStatus('در حال وارد کردن...');
+
+    MessageClient.send("importFixtures", { bundle }, (response) => {
+        if (!response.success) {
+            Logger.warn("⚠️ Fixture import failed:", MessageClient.describeError(response));
+            setFixturesStatus(`خطا در وارد کردن بسته: ${response.error || 'نامشخص'}`);
+            return;
+        }
+        loadFixturesStatus();
+    });
+}
+
+function loadFixturesStatus() {
+    MessageClient.send("getFixtureStatus", {}, (response) => {
+        if (!response.success) {
+            setFixturesStatus('وضعیت پاسخ‌های ضبط‌شده در دسترس نیست');
+            return;
+        }
+
+        const modeLabels = { off: 'خاموش', record: 'در حال ضبط', replay: 'پخش' };
+        setFixturesStatus(
+            `حالت: ${modeLabels[response.data.mode] || response.data.mode} — ` +
+            `${response.data.count.toLocaleString('fa-IR')} پاسخ ضبط‌شده`
+        );
+    });
+}
+
+function setFixturesStatus(text) {
+    document.getElementById('fixtures-status').textContent = text;
+}
+
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatFileDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function formatResponseTime(result) {
+    return result?.responseTime ? `(${result.responseTime.toFixed(0)}ms)` : '';
+}
+
+function showResult(type, title, lines = []) {
+    const resultDiv = document.getElementById('connection-result');
+    resultDiv.hidden = false;
+    resultDiv.className = `connection-result ${type}`;
+    resultDiv.textContent = '';
+
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    resultDiv.appendChild(heading);
+
+    if (lines.length > 0) {
+        const list = document.createElement('ul');
+        lines.forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        });
+        resultDiv.appendChild(list);
+    }
+}
@@ -62,6 +62,7 @@ document.addEventListener('DOMContentLoaded', function() {
     setupFeatureAnimations();
     setupKeyboardNavigation();
     setupPerformanceMonitoring();
+    setupOptionsLink();
 });
 
 async function initializePopup() {
@@ -71,6 +72,9 @@ async function initializePopup() {
         // Show loading state
         showLoadingState();
         
+        // Show which backend the numbers below come from
+        loadBackendSettings();
+        
         // Load vendor statistics first (faster response)
         await loadVendorStats();
         
@@ -106,20 +110,24 @@ function loadVendorStats() {
                 vendorStats = cached.stats;
                 apiConnectionStatus = 'connected';
                 updateVendorStats(cached.stats, cached.vendors);
+                updateBusinessLineStatus(cached.businessLines);
+                updateDataSourceStatus(cached.dataSource);
+                updateSyncStatus(cached.sync);
+                updatePlatformStatus(cached.platformStatus);
                 resolve(true);
                 return;
             }
         }
         
-        chrome.runtime.sendMessage({ action: "getVendorList" }, (response) => {
-            if (chrome.runtime.lastError) {
-                Logger.error("🔴 Runtime error:", chrome.runtime.lastError);
+        MessageClient.send("getVendorList", {}, (response) => {
+            if (response.code === MESSAGE_ERRORS.TRANSPORT_ERROR) {
+                Logger.error("🔴 Runtime error:", response.error);
                 apiConnectionStatus = 'error';
                 resolve(false);
                 return;
             }
             
-            if (response && response.success) {
+            if (response.success) {
                 Logger.debug("✅ Vendor stats loaded:", response.stats);
                 vendorStats = response.stats;
                 apiConnectionStatus = 'connected';
@@ -128,11 +136,19 @@ function loadVendorStats() {
                 if (PERF_CONFIG.CACHE_ENABLED) {
                     popupCache.set('vendorStats', {
                         stats: response.stats,
-                        vendors: response.vendors
+                        vendors: response.vendors,
+                        businessLines: response.businessLines,
+                        dataSource: response.dataSource,
+                        sync: response.sync,
+                        platformStatus: response.platformStatus
                     });
                 }
                 
                 updateVendorStats(response.stats, response.vendors);
+                updateBusinessLineStatus(response.businessLines);
+                updateDataSourceStatus(response.dataSource);
+                updateSyncStatus(response.sync);
+                updatePlatformStatus(response.platformStatus);
                 
                 // Handle API warnings
                 if (response.apiErrors) {
@@ -148,15 +164,31 @@ function loadVendorStats() {
                 
                 resolve(true);
             } else {
-                Logger.error("🔴 Failed to load vendor stats:", response?.error);
+                Logger.error("🔴 Failed to load vendor stats:", MessageClient.describeError(response));
                 apiConnectionStatus = 'error';
-                showErrorStatus(response?.error || "خطای نامشخص");
+                showErrorStatus(response.error || "خطای نامشخص");
                 resolve(false);
             }
         });
     });
 }
 
+function loadBackendSettings() {
+    MessageClient.send("getSettings", {}, (response) => {
+        const urlElement = document.getElementById('api-base-url');
+        if (!urlElement) return;
+        
+        if (!response.success) {
+            Logger.warn("⚠️ Could not load backend settings:", MessageClient.describeError(response));
+            urlElement.textContent = 'نامشخص';
+            return;
+        }
+        
+        urlElement.textContent = response.settings.apiBaseUrl;
+        urlElement.title = response.settings.apiBaseUrl;
+    });
+}
+
 function loadPerformanceMetrics() {
     return new Promise((resolve) => {
         if (!PERF_CONFIG.PERFORMANCE_MONITORING) {
@@ -166,14 +198,14 @@ function loadPerformanceMetrics() {
         
         Logger.debug("📈 Loading performance metrics...");
         
-        chrome.runtime.sendMessage({ action: "getPerformanceMetrics" }, (response) => {
-            if (chrome.runtime.lastError) {
-                Logger.warn("Performance metrics not available:", chrome.runtime.lastError);
+        MessageClient.send("getPerformanceMetrics", {}, (response) => {
+            if (response.code === MESSAGE_ERRORS.TRANSPORT_ERROR) {
+                Logger.warn("Performance metrics not available:", response.error);
                 resolve(false);
                 return;
             }
             
-            if (response && response.success) {
+            if (response.success) {
                 performanceMetrics = response.data;
                 Logger.performance("Performance metrics loaded:", performanceMetrics);
                 addPerformanceSection();
@@ -279,6 +311,127 @@ function addItemCountStatus(itemCount) {
     statusContainer.appendChild(itemCountElement);
 }
 
+// Paired vendors per business line, e.g. "رستوران: ۱۲۰ • کافه: ۳۴"
+function updateBusinessLineStatus(businessLines) {
+    const lines = businessLines || [];
+    if (!lines.some(entry => entry.businessLine)) return;
+    
+    const statusContainer = document.querySelector('.status');
+    if (!statusContainer) return;
+    
+    let lineElement = document.getElementById('business-line-status');
+    if (!lineElement) {
+        lineElement = document.createElement('div');
+        lineElement.id = 'business-line-status';
+        lineElement.className = 'status-item';
+        lineElement.innerHTML = `
+            <span class="status-indicator active"></span>
+            <span></span>
+        `;
+        statusContainer.appendChild(lineElement);
+    }
+    
+    lineElement.querySelector('span:last-child').textContent = lines
+        .map(({ businessLine, vendorCount }) =>
+            `${BUSINESS_LINE_LABELS[businessLine] ?? businessLine}: ${vendorCount.toLocaleString('fa-IR')}`)
+        .join(' • ');
+}
+
+function updateDataSourceStatus(dataSource) {
+    if (!dataSource) return;
+    
+    const statusContainer = document.querySelector('.status');
+    if (!statusContainer) return;
+    
+    let sourceElement = document.getElementById('data-source-status');
+    if (!sourceElement) {
+        sourceElement = document.createElement('div');
+        sourceElement.id = 'data-source-status';
+        statusContainer.appendChild(sourceElement);
+    }
+    
+    const isOffline = dataSource.active === 'offline';
+    const originLabel = dataSource.offline?.origin === 'imported' ? 'فایل واردشده' : 'فایل همراه افزونه';
+    let text = isOffline ? `منبع داده: آفلاین (${originLabel})` : 'منبع داده: سرور API';
+    if (isOffline && dataSource.fallbackReason) {
+        text += ' - سرور در دسترس نیست';
+    }
+    
+    sourceElement.className = `status-item ${isOffline ? 'warning' : 'success'}`;
+    sourceElement.innerHTML = `
+        <span class="status-indicator ${isOffline ? '' : 'active'}"></span>
+        <span></span>
+    `;
+    sourceElement.querySelector('span:last-child').textContent = text;
+    
+    Logger.debug("📂 Data source:", dataSource);
+}
+
+function updateSyncStatus(sync) {
+    if (!sync || !sync.lastSyncAt) return;
+    
+    const statusContainer = document.querySelector('.status');
+    if (!statusContainer) return;
+    
+    let syncElement = document.getElementById('vendor-sync-status');
+    if (!syncElement) {
+        syncElement = document.createElement('div');
+        syncElement.id = 'vendor-sync-status';
+        statusContainer.appendChild(syncElement);
+    }
+    
+    const hasError = Boolean(sync.lastError);
+    syncElement.className = `status-item ${hasError ? 'warning' : 'success'}`;
+    syncElement.innerHTML = `
+        <span class="status-indicator ${hasError ? '' : 'active'}"></span>
+        <span></span>
+    `;
+    syncElement.querySelector('span:last-child').textContent =
+        `${sync.total.toLocaleString('fa-IR')} رستوران همگام‌سازی شده - آخرین همگام‌سازی: ${getTimeAgo(sync.lastSyncAt)}` +
+        (hasError ? ' (خطا در آخرین تلاش)' : '');
+    syncElement.title = new Date(sync.lastSyncAt).toLocaleString('fa-IR');
+}
+
+const PLATFORM_LABELS = { snappfood: 'اسنپ‌فود', tapsifood: 'تپسی‌فود' };
+
+function updatePlatformStatus(platformStatus) {
+    if (!platformStatus) return;
+    
+    const checked = Object.entries(platformStatus).filter(([, entry]) => entry.status !== 'unknown');
+    if (checked.length === 0) return;
+    
+    const statusContainer = document.querySelector('.status');
+    if (!statusContainer) return;
+    
+    let platformElement = document.getElementById('platform-api-status');
+    if (!platformElement) {
+        platformElement = document.createElement('div');
+        platformElement.id = 'platform-api-status';
+        statusContainer.appendChild(platformElement);
+    }
+    
+    const drifted = checked.filter(([, entry]) => entry.status === 'drift');
+    const hasDrift = drifted.length > 0;
+    
+    platformElement.className = `status-item ${hasDrift ? 'warning' : 'success'}`;
+    platformElement.innerHTML = `
+        <span class="status-indicator ${hasDrift ? '' : 'active'}"></span>
+        <span></span>
+    `;
+    platformElement.querySelector('span:last-child').textContent = hasDrift ?
+        `API ${drifted.map(([platform]) => PLATFORM_LABELS[platform]).join(' و ')} تغییر کرده است` :
+        'ساختار API پلتفرم‌ها بدون تغییر';
+    
+    // List the missing fields and since when, for bug reports
+    platformElement.title = hasDrift ?
+        drifted.flatMap(([platform, entry]) => entry.missing.map(field =>
+            `${PLATFORM_LABELS[platform]}: ${field.path} (از ${getTimeAgo(field.since)})`
+        )).join('\n') :
+        checked.map(([platform, entry]) => `${PLATFORM_LABELS[platform]}: ${getTimeAgo(entry.lastCheckedAt)}`).join('\n');
+    
+    Logger.debug("🧩 Platform API status:", platformStatus);
+}
+
 function addPerformanceSection() {
     if (!performanceMetrics || !PERF_CONFIG.PERFORMANCE_MONITORING) return;
     
@@ -304,14 +457,15 @@ function addPerformanceSection() {
                     <span class="stat-value">${performanceMetrics.errors || 0}</span>
                 </div>
                 <div class="stat-item">
-                    <span class="stat-label">میانگین پاسخ</span>
-                    <span class="stat-value">${(performanceMetrics.averageResponseTime || 0).toFixed(0)}ms</span>
+                    <span class="stat-label">پاسخ p95</span>
+                    <span class="stat-value">${performanceMetrics.endpoints?.overall?.p95 || 0}ms</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">کش کارایی</span>
                     <span class="stat-value">${performanceMetrics.cacheStats?.vendorData?.hitRate || 'N/A'}</span>
                 </div>
             </div>
+            <div class="endpoint-metrics" id="endpoint-metrics"></div>
             <div class="cache-controls">
                 <button class="cache-btn" id="clear-cache-btn">پاک کردن کش</button>
                 <button class="cache-btn" id="refresh-metrics-btn">به‌روزرسانی آمار</button>
@@ -327,10 +481,63 @@ function addPerformanceSection() {
         container.appendChild(perfSection);
     }
     
+    renderEndpointMetrics();
+
     // Setup performance section interactions
     setupPerformanceInteractions();
 }
 
+// Per-endpoint table: one row per backend route or platform API
+function renderEndpointMetrics() {
+    const container = document.getElementById('endpoint-metrics');
+    if (!container) return;
+
+    container.textContent = '';
+    const endpoints = Object.entries(performanceMetrics?.endpoints?.endpoints || {})
+        .sort(([, a], [, b]) => b.count - a.count);
+
+    if (endpoints.length === 0) {
+        container.textContent = 'هنوز درخواستی ثبت نشده است';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'endpoint-table';
+
+    const headerRow = table.createTHead().insertRow();
+    ['مسیر', 'تعداد', 'خطا', 'p50', 'p95', 'p99'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    endpoints.forEach(([label, stats]) => {
+        const row = body.insertRow();
+        row.title = stats.lastError ? `آخرین خطا: ${stats.lastError}` : '';
+
+        const labelCell = row.insertCell();
+        labelCell.className = 'endpoint-label';
+        labelCell.textContent = label;
+
+        [
+            stats.count,
+            `${stats.errors} (${stats.errorRate})`,
+            `${stats.p50}ms`,
+            `${stats.p95}ms`,
+            `${stats.p99}ms`
+        ].forEach(value => {
+            row.insertCell().textContent = value;
+        });
+
+        if (stats.errors > 0) {
+            row.classList.add('has-errors');
+        }
+    });
+
+    container.appendChild(table);
+}
+
 function setupPerformanceInteractions() {
     const toggleBtn = document.getElementById('perf-toggle');
     const statsDiv = document.getElementById('perf-stats');
@@ -361,8 +568,8 @@ function setupPerformanceInteractions() {
 }
 
 function clearSystemCache() {
-    chrome.runtime.sendMessage({ action: "clearCache" }, (response) => {
-        if (response && response.success) {
+    MessageClient.send("clearCache", {}, (response) => {
+        if (response.success) {
             showToast('کش سیستم پاک شد', 'success');
             // Clear local cache too
             if (PERF_CONFIG.CACHE_ENABLED) {
@@ -390,9 +597,11 @@ function updatePerformanceDisplay() {
     if (statValues.length >= 4) {
         statValues[0].textContent = performanceMetrics.apiCalls || 0;
         statValues[1].textContent = performanceMetrics.errors || 0;
-        statValues[2].textContent = (performanceMetrics.averageResponseTime || 0).toFixed(0) + 'ms';
+        statValues[2].textContent = (performanceMetrics.endpoints?.overall?.p95 || 0) + 'ms';
         statValues[3].textContent = performanceMetrics.cacheStats?.vendorData?.hitRate || 'N/A';
     }
+
+    renderEndpointMetrics();
 }
 
 function showToast(message, type = 'info') {
@@ -471,63 +680,55 @@ function checkVendorSupport(tabInfo, statusItem) {
         return;
     }
     
-    // Check cache first
-    if (PERF_CONFIG.CACHE_ENABLED) {
-        const cached = popupCache.get('vendorStats');
-        if (cached && cached.vendors) {
-            const supportedVendor = cached.vendors.find(v => 
-                tabInfo.platform === 'snappfood' ? 
-                v.sf_code === tabInfo.vendorCode : 
-                v.tf_code === tabInfo.vendorCode
-            );
-            
-            if (supportedVendor) {
-                const restaurantName = tabInfo.platform === 'snappfood' ? 
-                    supportedVendor.sf_name : supportedVendor.tf_name;
-                const otherPlatform = tabInfo.platform === 'snappfood' ? 'تپسی‌فود' : 'اسنپ‌فود';
-                
-                updateStatus(statusItem, true, `${restaurantName} - مقایسه با ${otherPlatform} فعال`);
-                statusItem.classList.add('success');
-                updateInstructionsForRestaurant(restaurantName, tabInfo.platform);
-                return;
-            }
-        }
-    }
-    
-    // Fallback to API call
-    chrome.runtime.sendMessage({ action: "getVendorList" }, (response) => {
-        if (response && response.success && response.vendors) {
-            Logger.debug(`🔍 Checking ${response.vendors.length} vendors for ${tabInfo.vendorCode}`);
-            
-            const supportedVendor = response.vendors.find(v => 
-                tabInfo.platform === 'snappfood' ? 
-                v.sf_code === tabInfo.vendorCode : 
-                v.tf_code === tabInfo.vendorCode
-            );
-            
-            if (supportedVendor) {
-                const restaurantName = tabInfo.platform === 'snappfood' ? 
-                    supportedVendor.sf_name : supportedVendor.tf_name;
-                const otherPlatform = tabInfo.platform === 'snappfood' ? 'تپسی‌فود' : 'اسنپ‌فود';
-                
-                updateStatus(statusItem, true, `${restaurantName} - مقایسه با ${otherPlatform} فعال`);
-                statusItem.classList.add('success');
-                updateInstructionsForRestaurant(restaurantName, tabInfo.platform);
-                
-                Logger.debug(`✅ Found supported vendor: ${restaurantName}`);
-            } else {
-                updateStatus(statusItem, false, 'رستوران شناسایی شد اما پشتیبانی نمی‌شود');
-                statusItem.classList.add('warning');
-                Logger.debug(`⚠️ Vendor ${tabInfo.vendorCode} not supported`);
-            }
-        } else {
-            Logger.warn("⚠️ Could not check vendor support:", response?.error);
+    // One cached lookup instead of scanning the whole vendor list
+    MessageClient.send("lookupVendor", { platform: tabInfo.platform, vendorCode: tabInfo.vendorCode }, (response) => {
+        if (!response.success) {
+            Logger.warn("⚠️ Could not check vendor support:", MessageClient.describeError(response));
             updateStatus(statusItem, false, 'خطا در بررسی پشتیبانی رستوران');
             statusItem.classList.add('error');
+            return;
         }
+        
+        const lookup = response.data;
+        if (!lookup.supported) {
+            updateStatus(statusItem, false, 'رستوران شناسایی شد اما پشتیبانی نمی‌شود');
+            statusItem.classList.add('warning');
+            Logger.debug(`⚠️ Vendor ${tabInfo.vendorCode} not supported`);
+            return;
+        }
+        
+        const otherPlatform = tabInfo.platform === 'snappfood' ? 'تپسی‌فود' : 'اسنپ‌فود';
+        updateStatus(statusItem, true, `${lookup.name} - مقایسه با ${otherPlatform} فعال`);
+        statusItem.classList.add('success');
+        updateVendorMappingStatus(statusItem, lookup);
+        updateInstructionsForRestaurant(lookup.name, tabInfo.platform);
+        
+        Logger.debug(`✅ Found supported vendor: ${lookup.name}`);
     });
 }
 
+// Counterpart vendor and mapped item count for the active tab
+function updateVendorMappingStatus(statusItem, lookup) {
+    let mappingElement = document.getElementById('vendor-mapping-status');
+    if (!mappingElement) {
+        mappingElement = document.createElement('div');
+        mappingElement.id = 'vendor-mapping-status';
+        mappingElement.className = 'status-item success';
+        mappingElement.innerHTML = `
+            <span class="status-indicator active"></span>
+            <span></span>
+        `;
+        // Appended, not inserted: other code addresses the first two items by index
+        statusItem.parentElement.appendChild(mappingElement);
+    }
+    
+    const otherPlatform = lookup.counterpart.platform === 'snappfood' ? 'اسنپ‌فود' : 'تپسی‌فود';
+    mappingElement.querySelector('span:last-child').textContent =
+        `${otherPlatform}: ${lookup.counterpart.name || lookup.counterpart.vendorCode} • ` +
+        `${lookup.itemCount.toLocaleString('fa-IR')} محصول نگاشت‌شده`;
+    mappingElement.title = `SF: ${lookup.mapping.sf_code} ↔ TF: ${lookup.mapping.tf_code}`;
+}
+
 function updateStatus(statusItem, isActive, text) {
     const indicator = statusItem.querySelector('.status-indicator');
     const textSpan = statusItem.querySelector('span:last-child');
@@ -669,6 +870,16 @@ function setupPerformanceMonitoring() {
     });
 }
 
+function setupOptionsLink() {
+    const optionsLink = document.getElementById('open-options');
+    if (!optionsLink) return;
+    
+    optionsLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+}
+
 // Enhanced Feature Animations with Performance Optimization
 function setupFeatureAnimations() {
     const features = document.querySelectorAll('.feature');
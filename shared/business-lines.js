@@ -0,0 +1,12 @@
+// shared/business-lines.js
+// Display names for the mappings' business_line values, used by the popup and
+// the widget; '' is for mappings without one.
+const BUSINESS_LINE_LABELS = Object.freeze({
+    '': 'بدون دسته‌بندی',
+    restaurant: 'رستوران',
+    cafe: 'کافه',
+    confectionery: 'شیرینی‌فروشی',
+    bakery: 'نانوایی',
+    juice: 'آبمیوه و بستنی',
+    supermarket: 'سوپرمارکت'
+});
@@ -0,0 +1,99 @@
+// shared/message-client.js
+// Messaging protocol shared by the background router and its callers. Loaded as a
+// plain script everywhere: importScripts() in the service worker, a <script> tag in
+// the popup and options page, and ahead of the injector in the content script list.
+
+// Bump when a request or response shape changes incompatibly
+const MESSAGE_PROTOCOL_VERSION = 1;
+
+// chrome.runtime.connect() name for requests answered in stages
+const MESSAGE_STREAM_PORT = 'message-stream';
+
+const MESSAGE_ERRORS = Object.freeze({
+    INVALID_MESSAGE: 'INVALID_MESSAGE',         // Not an object, or no action name
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // Caller speaks another protocol version
+    INVALID_REQUEST: 'INVALID_REQUEST',         // Payload failed the action's schema
+    CONNECTION_ERROR: 'CONNECTION_ERROR',       // Backend or platform API unreachable
+    HANDLER_ERROR: 'HANDLER_ERROR',             // Handler failed for any other reason
+    TRANSPORT_ERROR: 'TRANSPORT_ERROR'          // chrome.runtime.lastError on the caller's side
+});
+
+const MessageClient = {
+    // Resolves (and calls back) with a response object in every case: transport
+    // failures come back as { success: false, code: TRANSPORT_ERROR } so callers
+    // only ever check response.success
+    send(action, payload = {}, callback = null) {
+        return new Promise((resolve) => {
+            const finish = (response) => {
+                if (callback) callback(response);
+                resolve(response);
+            };
+            const transportError = (message) => ({
+                success: false,
+                code: MESSAGE_ERRORS.TRANSPORT_ERROR,
+                error: message
+            });
+
+            try {
+                chrome.runtime.sendMessage({
+                    ...payload,
+                    action,
+                    protocolVersion: MESSAGE_PROTOCOL_VERSION
+                }, (response) => {
+                    const lastError = chrome.runtime.lastError;
+                    if (lastError) {
+                        finish(transportError(lastError.message));
+                        return;
+                    }
+                    finish(response || transportError("No response from background."));
+                });
+            } catch (error) {
+                // sendMessage throws once the extension was reloaded under an open page
+                finish(transportError(error.message));
+            }
+        });
+    },
+
+    // Opens a stream port for one request. onStage gets every { stage, ... } message;
+    // the last one has done: true, or stage 'error' if the stream failed or the
+    // port dropped early. Returns the port so the caller can abandon the stream.
+    stream(action, payload, onStage) {
+        let finished = false;
+        const fail = (message) => {
+            if (finished) return;
+            finished = true;
+            onStage({
+                stage: 'error',
+                success: false,
+                done: true,
+                code: MESSAGE_ERRORS.TRANSPORT_ERROR,
+                error: message
+            });
+        };
+
+        let port;
+        try {
+            port = chrome.runtime.connect({ name: MESSAGE_STREAM_PORT });
+        } catch (error) {
+            fail(error.message);
+            return null;
+        }
+
+        port.onMessage.addListener((message) => {
+            if (finished) return;
+            if (message.done) finished = true;
+            onStage(message);
+        });
+        port.onDisconnect.addListener(() => {
+            fail(chrome.runtime.lastError?.message || "Stream closed before the final stage.");
+        });
+
+        port.postMessage({ ...payload, action, protocolVersion: MESSAGE_PROTOCOL_VERSION });
+        return port;
+    },
+
+    describeError(response) {
+        return `${response?.code || MESSAGE_ERRORS.HANDLER_ERROR}: ${response?.error || 'Unknown error'}`;
+    }
+};